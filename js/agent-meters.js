@@ -0,0 +1,165 @@
+/**
+ * STRUDEL BAND - Agent Meters
+ * Per-agent level, peak hold and level history for the track strips, plus features
+ * (density, register, presence) the agents can adapt to.
+ * Every slot plays on its own Strudel orbit: levels are read from an AnalyserNode on
+ * that orbit's output, density and register from the slot's compiled pattern
+ */
+
+class AgentMeters {
+    constructor(engine) {
+        this.engine = engine;
+
+        // id -> { output, analyser, data } - analysers on each slot's orbit output
+        this.taps = new Map();
+
+        // id -> { level, peak, peakTime, history, density, register, cycle }
+        this.meters = new Map();
+    }
+
+    /**
+     * Sample every playing agent's level at the engine's current cycle (call once per frame)
+     */
+    update(now = performance.now()) {
+        const engine = this.engine;
+        const cycle = engine.getCycle();
+
+        this.meters.forEach((meter, id) => {
+            if (!engine.slots.has(id)) {
+                this.meters.delete(id);
+                this.taps.delete(id);
+            }
+        });
+
+        engine.slots.forEach((slot, id) => {
+            const meter = this.meterFor(id);
+            const playing = engine.isPlaying && slot.active && slot.audio !== false;
+            const pattern = playing ? slot.pattern : null;
+
+            meter.level = playing ? this.levelOf(id) : 0;
+            this.updatePeak(meter, now);
+
+            meter.history.push(meter.level);
+            if (meter.history.length > CONFIG.METERS.historyLength) meter.history.shift();
+
+            // Density and register change at most once per cycle
+            const whole = Math.floor(cycle);
+            if (!pattern) {
+                meter.density = 0;
+                meter.register = null;
+                meter.cycle = null;
+            } else if (meter.cycle !== whole) {
+                this.describeCycle(meter, pattern, whole);
+            }
+        });
+    }
+
+    meterFor(id) {
+        if (!this.meters.has(id)) {
+            this.meters.set(id, { level: 0, peak: 0, peakTime: 0, history: [], density: 0, register: null, cycle: null });
+        }
+        return this.meters.get(id);
+    }
+
+    /**
+     * Analyser on a slot's orbit output - tapped again when Strudel's output controller is
+     * replaced (the old output goes with it). Returns null in mock mode
+     */
+    analyserFor(id) {
+        const output = this.engine.getSlotOutput(id);
+        const tap = this.taps.get(id);
+        if (tap?.output === output) return tap.analyser;
+
+        if (!output) {
+            this.taps.delete(id);
+            return null;
+        }
+
+        const analyser = output.context.createAnalyser();
+        analyser.fftSize = CONFIG.METERS.fftSize;
+        output.connect(analyser);
+        this.taps.set(id, { output, analyser, data: new Float32Array(analyser.fftSize) });
+        return analyser;
+    }
+
+    /**
+     * RMS level of a slot's orbit on the meter scale (floorDb..0 dBFS as 0-1)
+     */
+    levelOf(id) {
+        const analyser = this.analyserFor(id);
+        if (!analyser) return 0;
+
+        const { data } = this.taps.get(id);
+        analyser.getFloatTimeDomainData(data);
+        const power = data.reduce((sum, sample) => sum + sample * sample, 0) / data.length;
+        if (power === 0) return 0;
+
+        const db = 10 * Math.log10(power);
+        return Math.max(0, Math.min(1, 1 - db / CONFIG.METERS.floorDb));
+    }
+
+    /**
+     * Peaks hold for a moment, then fall back towards the level
+     */
+    updatePeak(meter, now) {
+        const { peakHoldMs, peakFallPerSecond } = CONFIG.METERS;
+
+        if (meter.level >= meter.peak) {
+            meter.peak = meter.level;
+            meter.peakTime = now;
+        } else if (now - meter.peakTime > peakHoldMs) {
+            const elapsed = (now - meter.peakTime - peakHoldMs) / 1000;
+            meter.peak = Math.max(meter.level, meter.peak - elapsed * peakFallPerSecond);
+            meter.peakTime = now - peakHoldMs;
+        }
+    }
+
+    /**
+     * Events per cycle and the average pitch of one cycle
+     */
+    describeCycle(meter, pattern, cycle) {
+        const events = StrudelEngine.events(pattern, cycle, cycle + 1);
+        const notes = events.map(event => StrudelEngine.midiNote(event.value)).filter(note => note !== null);
+
+        meter.cycle = cycle;
+        meter.density = events.length;
+        meter.register = notes.length > 0 ? notes.reduce((sum, note) => sum + note, 0) / notes.length : null;
+    }
+
+    /**
+     * Current data for one agent: { level, peak, history, density, register, presence }
+     * presence is the share of recent frames the agent was audible
+     */
+    getFeatures(id) {
+        const meter = this.meters.get(id);
+        if (!meter) return null;
+
+        const audible = meter.history.filter(level => level > CONFIG.METERS.silenceLevel).length;
+        return {
+            level: meter.level,
+            peak: meter.peak,
+            history: meter.history,
+            density: meter.density,
+            register: meter.register,
+            presence: meter.history.length > 0 ? audible / meter.history.length : 0
+        };
+    }
+
+    /**
+     * Short description for agent prompts ("62% present, 8 events/cycle, around C3")
+     */
+    describe(id) {
+        const features = this.getFeatures(id);
+        if (!features || features.density === 0) return null;
+
+        const parts = [`${Math.round(features.presence * 100)}% present`, `${features.density} events/cycle`];
+        if (features.register !== null) {
+            const note = Math.round(features.register);
+            parts.push(`around ${CONFIG.MUSIC.keys[note % 12]}${Math.floor(note / 12) - 1}`);
+        }
+        return parts.join(', ');
+    }
+}
+
+// Export
+window.AgentMeters = AgentMeters;
@@ -6,10 +6,13 @@
 class Agent {
     constructor(id, config) {
         this.id = id;
-        this.config = config;
-        this.name = config.name;
-        this.fullName = config.fullName;
-        this.color = config.color;
+        this.applyConfig(config);
+
+        // Adventurousness: 0 = conservative, 1 = experimental
+        this.style = CONFIG.STYLE.byType[this.type] ?? CONFIG.STYLE.default;
+
+        // Patterns the user rated (restored from the session by Band)
+        this.feedback = { liked: [], disliked: [] };
 
         // State
         this.code = '';
@@ -19,14 +22,119 @@ class Agent {
         this.isGenerating = false;
         this.isListening = false;
 
+        // LLM client and code validator (set by Band)
+        this.llm = null;
+        this.validate = null;
+
         // Pattern history
         this.history = [];
         this.historyIndex = -1;
 
         // Callbacks
         this.onCodeChange = null;
+        this.onCodePreview = null;
         this.onStatusChange = null;
         this.onChat = null;
+        this.onRequest = null;
+    }
+
+    /**
+     * Apply a roster definition (name, role, samples, color, prompt)
+     */
+    applyConfig(config) {
+        this.config = config;
+        this.type = config.type || this.id;
+        this.name = config.name;
+        this.fullName = config.fullName;
+        this.color = config.color;
+    }
+
+    /**
+     * Set the style dial (0 = conservative, 1 = experimental)
+     */
+    setStyle(value) {
+        const style = parseFloat(value);
+        if (isNaN(style)) return this.style;
+
+        this.style = Math.min(Math.max(style, 0), 1);
+        return this.style;
+    }
+
+    /**
+     * Prompt tier for the current style
+     */
+    get styleTier() {
+        return CONFIG.STYLE.tiers.find(tier => this.style <= tier.max) || CONFIG.STYLE.tiers[CONFIG.STYLE.tiers.length - 1];
+    }
+
+    /**
+     * How far a new pattern may move away from the previous one (0..1)
+     */
+    get maxDrift() {
+        const { min, max } = CONFIG.STYLE.maxDrift;
+        return min + (max - min) * this.style;
+    }
+
+    /**
+     * Share of tokens that differ between two patterns (0 = same, 1 = nothing in common)
+     */
+    measureDrift(previous, code) {
+        const tokenize = (text) => new Set(
+            (text.match(/[a-z_$][\w$]*\(|"[^"]*"|[a-z0-9~#.:]+/gi) || []).map(token => token.toLowerCase())
+        );
+
+        const a = tokenize(previous);
+        const b = tokenize(code);
+        const union = new Set([...a, ...b]);
+        if (union.size === 0) return 0;
+
+        const shared = [...a].filter(token => b.has(token)).length;
+        return 1 - shared / union.size;
+    }
+
+    /**
+     * History entry for the pattern currently playing
+     */
+    get currentEntry() {
+        return this.history[this.historyIndex] || null;
+    }
+
+    /**
+     * Rate the current pattern: 1 = liked, -1 = disliked, 0 = clear
+     * Returns the rated history entry
+     */
+    rate(rating) {
+        const entry = this.currentEntry;
+        if (!entry || !this.code) return null;
+
+        entry.rating = rating;
+
+        // One rating per pattern - re-rating moves it between the lists
+        const code = entry.code;
+        this.feedback.liked = this.feedback.liked.filter(example => example.code !== code);
+        this.feedback.disliked = this.feedback.disliked.filter(example => example.code !== code);
+
+        if (rating !== 0) {
+            const list = rating > 0 ? this.feedback.liked : this.feedback.disliked;
+            list.unshift({ code, prompt: entry.prompt, mood: entry.mood || null, timestamp: Date.now() });
+            list.splice(CONFIG.FEEDBACK.maxStored);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Rated patterns to show the model, same mood first, newest first
+     */
+    getFeedbackExamples(mood = null) {
+        const pick = (list, count) => [...list]
+            .sort((a, b) => (b.mood === mood) - (a.mood === mood) || b.timestamp - a.timestamp)
+            .slice(0, count);
+
+        return {
+            liked: pick(this.feedback.liked, CONFIG.FEEDBACK.likedExamples),
+            disliked: pick(this.feedback.disliked, CONFIG.FEEDBACK.dislikedExamples)
+        };
     }
 
     /**
@@ -42,16 +150,22 @@ class Agent {
         this.updateStatus('generating');
 
         try {
-            const code = await this.callAPI(prompt, context);
+            const requests = [];
+            const code = await this.composeValid(prompt, context, null, { requests });
 
             if (code) {
+                // Add to history first so listeners see the new entry (e.g. its rating)
+                this.history.push({ code, prompt, mood: context.mood || null, timestamp: Date.now() });
+                this.historyIndex = this.history.length - 1;
+
                 this.setCode(code);
                 this.isActive = true;
-                this.updateStatus('active');
 
-                // Add to history
-                this.history.push({ code, prompt, timestamp: Date.now() });
-                this.historyIndex = this.history.length - 1;
+                // Pass on what this pattern asks of the other musicians
+                if (requests.length > 0 && this.onRequest) {
+                    const depth = (context.request?.depth || 0) + 1;
+                    requests.forEach(request => this.onRequest(this.id, request.to, request.text, depth));
+                }
 
                 return code;
             }
@@ -67,28 +181,207 @@ class Agent {
     }
 
     /**
-     * Call Claude/Gemini API for code generation
+     * Compose a pattern without committing it (e.g. for a later arrangement section)
+     * Runs in the background: no preview, status or chat updates
+     */
+    async compose(prompt, context = {}) {
+        return this.composeValid(prompt, context, null, { background: true });
+    }
+
+    /**
+     * Generate code, sending validation errors back to the model until it passes
+     * Returns null when every attempt failed
+     */
+    async composeValid(prompt, context, feedback = null, options = {}) {
+        const maxAttempts = CONFIG.GENERATION.maxAttempts;
+        const background = Boolean(options.background);
+        let lastError = null;
+
+        // Conservative agents must stay near their previous pattern (not for repairs or new sections)
+        const previous = !background && options.drift !== false ? this.code : '';
+        let drifted = null;
+
+        try {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                if (attempt > 1 && !background) {
+                    this.updateStatus('repairing', `repair ${attempt}/${maxAttempts}`);
+                }
+
+                let code = await this.callAPI(prompt, context, feedback, {
+                    preview: !background,
+                    requests: options.requests
+                });
+                const result = this.validate ? this.validate(code) : { valid: Boolean(code) };
+
+                // The validator may rewrite the code, e.g. swapping missing samples for loaded ones
+                if (result.valid && result.code) {
+                    if (!background && result.substitutions?.length) {
+                        this.say(`Swapped ${result.substitutions.map(([from, to]) => `${from} → ${to}`).join(', ')} (not loaded).`);
+                    }
+                    code = result.code;
+                }
+
+                // Too much drift gets one corrective retry that does not use up an attempt
+                if (result.valid && previous && !drifted) {
+                    const drift = this.measureDrift(previous, code);
+                    if (drift > this.maxDrift) {
+                        console.log(`[${this.id}] Drift ${drift.toFixed(2)} > ${this.maxDrift.toFixed(2)}, asking to stay closer`);
+                        drifted = code;
+                        feedback = {
+                            code,
+                            error: `changed ${Math.round(drift * 100)}% of your previous pattern, ` +
+                                `your style allows ${Math.round(this.maxDrift * 100)}%. Stay closer to it`
+                        };
+                        attempt--;
+                        continue;
+                    }
+                }
+
+                if (result.valid) {
+                    if (background) {
+                        // Nothing to report
+                    } else if (attempt > 1) {
+                        this.updateStatus('active', `fixed ${attempt}/${maxAttempts}`);
+                        this.say(`Fixed my pattern on attempt ${attempt}/${maxAttempts}.`);
+                    } else {
+                        this.updateStatus('active');
+                    }
+                    return code;
+                }
+
+                console.warn(`[${this.id}] Attempt ${attempt}/${maxAttempts} invalid:`, result.error);
+                lastError = result.error;
+                feedback = { code, error: result.error };
+            }
+        } finally {
+            // The streamed text is only a preview - the caller commits the final code
+            if (!background) {
+                this.endPreview();
+            }
+        }
+
+        // Drift is a soft limit - if the correction broke the code, the drifted pattern still beats the old one
+        if (drifted) {
+            this.updateStatus('active');
+            return drifted;
+        }
+
+        if (!background) {
+            this.updateStatus('error', `failed ${maxAttempts}x: ${lastError}`);
+            this.say(`No valid pattern after ${maxAttempts} attempts (${lastError}). Keeping my previous one.`);
+        }
+        return null;
+    }
+
+    /**
+     * Repair the current pattern after it threw during evaluation
+     * Falls back to the previous pattern when the repair fails
      */
-    async callAPI(prompt, context) {
+    async repair(error, context = {}) {
+        if (this.isGenerating || !this.code) {
+            return null;
+        }
+
+        this.isGenerating = true;
+        const brokenCode = this.code;
+        const entry = this.history[this.historyIndex];
+        const prompt = entry?.prompt || 'Keep your current idea';
+
+        try {
+            const code = await this.composeValid(prompt, context, { code: brokenCode, error }, { drift: false });
+
+            if (code) {
+                this.setCode(code);
+                if (entry && entry.code === brokenCode) {
+                    entry.code = code;
+                }
+                return code;
+            }
+
+            // Keep the previous pattern
+            const previous = this.history[this.historyIndex - 1]?.code || '';
+            if (entry && entry.code === brokenCode) {
+                this.history.splice(this.historyIndex, 1);
+                this.historyIndex--;
+            }
+            this.setCode(previous);
+            this.isActive = Boolean(previous);
+        } finally {
+            this.isGenerating = false;
+        }
+
+        return null;
+    }
+
+    /**
+     * Call the configured LLM provider for code generation
+     */
+    async callAPI(prompt, context, feedback = null, options = {}) {
         // Build context from other agents
         let contextInfo = '';
         if (context.otherAgents) {
             const activeAgents = Object.entries(context.otherAgents)
                 .filter(([id, agent]) => id !== this.id && agent.isActive && agent.code)
-                .map(([id, agent]) => `${agent.name}: ${agent.code.substring(0, 100)}...`);
+                .map(([id, agent]) => {
+                    // How busy and where in the range each bandmate actually is, from the meters
+                    const activity = context.meters?.describe(id);
+                    return `${agent.name}: ${agent.code.substring(0, 100)}...${activity ? ` (${activity})` : ''}`;
+                });
 
             if (activeAgents.length > 0) {
                 contextInfo = `\n\nOther musicians currently playing:\n${activeAgents.join('\n')}\n\nAdapt your pattern to complement them!`;
             }
         }
 
+        // Shared key, chords and tempo every agent must conform to
+        const musicalContext = context.musicalContext
+            ? `\n${context.musicalContext.toPrompt()}\n`
+            : '';
+
+        // Key and chord detected from the audio, when the detection is sure enough
+        const heard = context.heard;
+        const heardInfo = heard?.key && heard.keyConfidence >= CONFIG.KEY.promptConfidence
+            ? `\nHEARD IN THE MIX: ${heard.key} ${heard.scale}, currently on ${heard.chord}` +
+              ` (detected from the audio - trust it over guesses from your bandmates' code)\n`
+            : '';
+
+        // What the user liked and disliked from this agent before
+        let feedbackInfo = '';
+        const examples = this.getFeedbackExamples(context.mood);
+        if (examples.liked.length > 0) {
+            feedbackInfo += `\nPATTERNS THE USER LIKED (match this taste, don't copy verbatim):\n` +
+                examples.liked.map(example => `- "${example.prompt}": ${example.code}`).join('\n') + '\n';
+        }
+        if (examples.disliked.length > 0) {
+            feedbackInfo += `\nPATTERNS THE USER DISLIKED (avoid this):\n` +
+                examples.disliked.map(example => `- "${example.prompt}": ${example.code}`).join('\n') + '\n';
+        }
+
+        // Let the agent ask bandmates for changes, unless this is already a long request chain
+        let requestInfo = '';
+        const bandmates = Object.keys(context.otherAgents || {}).filter(id => id !== this.id);
+        if (options.requests && bandmates.length > 0 && (context.request?.depth || 0) < CONFIG.BUS.maxDepth) {
+            requestInfo = `\nBAND REQUESTS:
+You may ask ONE bandmate (${bandmates.join(', ')}) for a change by adding a comment line
+before your code, e.g. // @bass: leave space on beat 3
+Only ask when it clearly helps the groove.\n`;
+        }
+
+        // Only sounds that are actually loaded (missing ones are swapped or dropped)
+        const sounds = context.samples;
+        const samplesInfo = sounds ? sounds.resolveList(this.config.samples) : this.config.samples;
+        const soundsInfo = sounds ? `\nAVAILABLE SOUNDS (s() accepts only these):\n${sounds.describe()}\n` : '';
+
         // Build the generation prompt
         const systemPrompt = `You are ${this.fullName}, a virtual musician in an AI band.
 
 ROLE: ${this.config.role}
-SAMPLES/SYNTHS: ${this.config.samples}
+SAMPLES/SYNTHS: ${samplesInfo}
 PERSONALITY: ${this.config.personality}
+STYLE (${this.styleTier.label}): ${this.styleTier.prompt}
 
+${this.config.systemPrompt || ''}
+${musicalContext}${heardInfo}
 Generate Strudel (TidalCycles) code for live music performance.
 
 RULES:
@@ -97,7 +390,8 @@ RULES:
 3. Keep patterns musical and interesting
 4. Match the requested style/mood
 5. Code should be self-contained and playable
-
+6. Pitched parts stay in the band's key and follow its chord progression
+${soundsInfo}${requestInfo}${feedbackInfo}
 EXAMPLES:
 - Drums: s("bd hh sn hh").fast(2)
 - Bass: note("c2 [~ c2] eb2 g2").s("bass").lpf(800)
@@ -105,46 +399,64 @@ EXAMPLES:
 - Pads: note("<c3 e3 g3>").s("sawtooth").lpf(500).attack(0.5).release(2)
 - FX: s("glitch*4").gain(0.3).room(0.8)`;
 
-        const userPrompt = `${prompt}${contextInfo}
+        // Send the previous failure back so the model can fix it
+        let repairInfo = '';
+        if (feedback) {
+            repairInfo = `\n\nYour previous attempt:\n${feedback.code}\n\nIt failed with: ${feedback.error}\nFix the problem and output only the corrected Strudel code.`;
+        }
+
+        // The current pattern is the reference for how much to change
+        const currentInfo = this.code && !feedback ? `\n\nYour current pattern:\n${this.code}` : '';
+
+        const userPrompt = `${prompt}${currentInfo}${contextInfo}${repairInfo}
 
 Generate your pattern now:`;
 
-        // Use fetch to call API (simplified - in production use proper backend)
-        // For demo, we'll simulate with predefined patterns or use Claude API
-        const response = await this.generateWithFallback(userPrompt, systemPrompt);
+        const response = await this.generateWithFallback(userPrompt, systemPrompt, options);
+
+        // Collect "// @agent: request" lines (cleanCode drops them from the pattern)
+        if (options.requests) {
+            options.requests.splice(0, options.requests.length, ...this.extractRequests(response, bandmates));
+        }
+
         return this.cleanCode(response);
     }
 
     /**
-     * Generate with fallback patterns
+     * Find "// @bass: leave space on beat 3" request lines in a response
      */
-    async generateWithFallback(prompt, systemPrompt) {
-        // Try Claude API if available
-        try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': window.ANTHROPIC_API_KEY || '',
-                    'anthropic-version': '2023-06-01',
-                    'anthropic-dangerous-direct-browser-access': 'true'
-                },
-                body: JSON.stringify({
-                    model: 'claude-sonnet-4-20250514',
-                    max_tokens: 500,
-                    messages: [{
-                        role: 'user',
-                        content: `${systemPrompt}\n\n${prompt}`
-                    }]
-                })
-            });
+    extractRequests(text, bandmates) {
+        const requests = [];
+        const pattern = /^\s*\/\/\s*@([a-z0-9_-]+)\s*[:,-]\s*(.+)$/gim;
+        let match;
+
+        while ((match = pattern.exec(text || '')) !== null) {
+            const to = match[1].toLowerCase();
+            if (bandmates.includes(to) && !requests.some(request => request.to === to)) {
+                requests.push({ to, text: match[2].trim() });
+            }
+        }
+
+        return requests.slice(0, 1);
+    }
 
-            if (response.ok) {
-                const data = await response.json();
-                return data.content[0].text;
+    /**
+     * Generate with fallback patterns
+     */
+    async generateWithFallback(prompt, systemPrompt, options = {}) {
+        // Try the configured LLM provider if available
+        if (this.llm) {
+            try {
+                // Stream tokens into the code panel while the model writes
+                const preview = options.preview !== false && this.onCodePreview;
+                const onToken = preview ? (delta, text) => this.previewCode(text) : null;
+                // Experimental agents sample hotter, conservative ones cooler
+                const temperatureOffset = (this.style - 0.5) * CONFIG.STYLE.temperatureSpread;
+                const text = await this.llm.complete(this.id, { system: systemPrompt, prompt, temperatureOffset }, onToken);
+                if (text) return text;
+            } catch (e) {
+                console.warn(`[${this.id}] API call failed, using fallback:`, e);
             }
-        } catch (e) {
-            console.warn('[Agent] API call failed, using fallback:', e);
         }
 
         // Fallback to demo patterns
@@ -195,7 +507,7 @@ Generate your pattern now:`;
             }
         };
 
-        const agentPatterns = patterns[this.id] || patterns.drums;
+        const agentPatterns = patterns[this.type] || patterns.drums;
 
         // Match mood from prompt
         if (lowerPrompt.includes('funk')) return agentPatterns.funky;
@@ -233,14 +545,32 @@ Generate your pattern now:`;
         return codeLines.join('\n').trim() || code.trim();
     }
 
+    /**
+     * Show partially generated code without committing it
+     */
+    previewCode(text) {
+        if (this.onCodePreview) {
+            this.onCodePreview(this.id, text.replace(/```[a-z]*\n?/g, ''));
+        }
+    }
+
+    /**
+     * End the streamed preview (the display goes back to the committed code)
+     */
+    endPreview() {
+        if (this.onCodePreview) {
+            this.onCodePreview(this.id, null);
+        }
+    }
+
     /**
      * Set code directly
      */
-    setCode(code) {
+    setCode(code, options = {}) {
         const oldCode = this.code;
         this.code = code;
 
-        if (this.onCodeChange && code !== oldCode) {
+        if (this.onCodeChange && code !== oldCode && !options.silent) {
             this.onCodeChange(this.id, code, oldCode);
         }
     }
@@ -298,9 +628,18 @@ Generate your pattern now:`;
     /**
      * Update status
      */
-    updateStatus(status) {
+    updateStatus(status, detail = null) {
         if (this.onStatusChange) {
-            this.onStatusChange(this.id, status);
+            this.onStatusChange(this.id, status, detail);
+        }
+    }
+
+    /**
+     * Wait until the current generation (if any) has finished
+     */
+    async waitUntilIdle() {
+        while (this.isGenerating) {
+            await new Promise(resolve => setTimeout(resolve, 250));
         }
     }
 
@@ -322,10 +661,46 @@ class Band {
         this.agents = new Map();
         this.director = null;
 
+        // Last mood preset the band was sent into (recorded with rated patterns)
+        this.mood = null;
+
+        // Who is in the band, and per-session settings such as each agent's style
+        this.roster = new Roster();
+        this.session = new SessionStore();
+
+        // Shared LLM client for agents and director
+        this.llm = new LLMClient();
+
+        // Code validator (set by App, e.g. StrudelEngine.checkCode)
+        this.validator = null;
+
+        // Labels each agent's code for the combined program
+        this.sandbox = new CodeSandbox();
+
+        // Loaded sample names (SampleManager, set by App)
+        this.samples = null;
+
+        // Key and chord detected from the audio (KeyDetector result, set by App)
+        this.heard = null;
+
+        // Per-agent levels and activity (AgentMeters, set by App)
+        this.meters = null;
+
+        // Shared key, scale, chords, tempo, meter and energy
+        this.context = new MusicalContext();
+
+        // Requests between agents
+        this.bus = new BandBus();
+        this.bus.onDeliver = (request) => this.handleRequest(request);
+
         // Callbacks
         this.onAgentUpdate = null;
         this.onBandChat = null;
         this.onCodeChange = null;
+        this.onCodePreview = null;
+        this.onDirectorPlan = null;
+        this.onRosterChange = null;
+        this.onStyleChange = null;
 
         // Initialize agents
         this.initAgents();
@@ -335,31 +710,211 @@ class Band {
      * Initialize all agents
      */
     initAgents() {
-        Object.entries(CONFIG.AGENTS).forEach(([id, config]) => {
-            const agent = new Agent(id, config);
+        this.roster.list().forEach(member => this.addAgent(member));
 
-            agent.onCodeChange = (agentId, newCode, oldCode) => {
-                if (this.onCodeChange) {
-                    this.onCodeChange(agentId, newCode, oldCode);
-                }
-            };
+        console.log('[Band] Initialized with agents:', [...this.agents.keys()]);
+    }
 
-            agent.onStatusChange = (agentId, status) => {
-                if (this.onAgentUpdate) {
-                    this.onAgentUpdate(agentId, { status });
-                }
-            };
+    /**
+     * Create an agent from a roster member and wire its callbacks
+     */
+    addAgent(member) {
+        const id = member.id;
+        const agent = new Agent(id, member);
+        agent.llm = this.llm;
+
+        const saved = this.session.get('agents')[id];
+        if (saved?.style !== undefined) {
+            agent.setStyle(saved.style);
+        }
 
-            agent.onChat = (agentId, message) => {
-                if (this.onBandChat) {
-                    this.onBandChat(agentId, message);
-                }
+        const feedback = this.session.get('feedback')[id];
+        if (feedback) {
+            agent.feedback = {
+                liked: Array.isArray(feedback.liked) ? feedback.liked : [],
+                disliked: Array.isArray(feedback.disliked) ? feedback.disliked : []
             };
+        }
 
-            this.agents.set(id, agent);
+        agent.onCodeChange = (agentId, newCode, oldCode) => {
+            if (this.onCodeChange) {
+                this.onCodeChange(agentId, newCode, oldCode);
+            }
+        };
+
+        agent.validate = (code) => this.validateCode(code);
+
+        agent.onCodePreview = (agentId, text) => {
+            if (this.onCodePreview) {
+                this.onCodePreview(agentId, text);
+            }
+        };
+
+        agent.onStatusChange = (agentId, status, detail) => {
+            if (this.onAgentUpdate) {
+                this.onAgentUpdate(agentId, { status, detail });
+            }
+        };
+
+        agent.onChat = (agentId, message) => {
+            if (this.onBandChat) {
+                this.onBandChat(agentId, message);
+            }
+        };
+
+        agent.onRequest = (from, to, text, depth) => {
+            this.bus.post(from, to, text, depth);
+        };
+
+        this.agents.set(id, agent);
+        return agent;
+    }
+
+    /**
+     * Replace the roster: removed agents leave, new ones join, the rest are re-roled
+     * Existing agents keep their patterns
+     */
+    setRoster(members) {
+        const before = JSON.stringify(this.roster.list());
+        const roster = this.roster.set(members);
+        if (JSON.stringify(roster) === before) {
+            return roster;
+        }
+
+        const ids = roster.map(member => member.id);
+
+        this.agents.forEach((agent, id) => {
+            if (!ids.includes(id)) {
+                agent.onCodeChange = null;
+                this.agents.delete(id);
+            }
         });
 
-        console.log('[Band] Initialized with agents:', [...this.agents.keys()]);
+        // Rebuild the map in roster order
+        const agents = new Map();
+        roster.forEach(member => {
+            const agent = this.agents.get(member.id);
+            if (agent) {
+                agent.applyConfig(member);
+                agents.set(member.id, agent);
+            } else {
+                agents.set(member.id, this.addAgent(member));
+            }
+        });
+        this.agents = agents;
+
+        console.log('[Band] Roster:', ids);
+        if (this.onRosterChange) {
+            this.onRosterChange(roster);
+        }
+
+        return roster;
+    }
+
+    /**
+     * Restore the default band
+     */
+    resetRoster() {
+        this.roster.reset();
+        return this.setRoster(this.roster.list());
+    }
+
+    /**
+     * Set an agent's style dial and save it with the session
+     */
+    setAgentStyle(agentId, value) {
+        const agent = this.agents.get(agentId);
+        if (!agent) return null;
+
+        const style = agent.setStyle(value);
+        this.session.update('agents', agentId, { style });
+
+        if (this.onStyleChange) {
+            this.onStyleChange(agentId, style, agent.styleTier.label);
+        }
+        return style;
+    }
+
+    /**
+     * Thumbs up/down on an agent's current pattern, saved across sessions
+     */
+    rateAgent(agentId, rating) {
+        const agent = this.agents.get(agentId);
+        const entry = agent?.rate(rating);
+        if (!entry) return null;
+
+        this.session.update('feedback', agentId, agent.feedback);
+        console.log(`[Band] ${agentId} rated ${rating}:`, entry.code);
+        return entry;
+    }
+
+    /**
+     * Recognize style commands like "/style drums 0.8" or "/style all wild"
+     * Returns { agentId: style } or null when the instruction is not a style command
+     */
+    parseStyleCommand(instruction) {
+        const match = instruction.trim().match(CONFIG.STYLE.command);
+        if (!match) return null;
+
+        const target = match[1].toLowerCase();
+        const value = match[2].toLowerCase();
+        const style = value in CONFIG.STYLE.words ? CONFIG.STYLE.words[value] : parseFloat(value);
+        if (!(style >= 0 && style <= 1)) return null;
+
+        const everyone = ['all', 'everyone', 'band'].includes(target);
+        const targets = [...this.agents.values()]
+            .filter(agent => everyone || agent.id === target || agent.name.toLowerCase() === target)
+            .map(agent => agent.id);
+
+        if (targets.length === 0) return null;
+
+        return Object.fromEntries(targets.map(id => [id, style]));
+    }
+
+    /**
+     * Apply style changes from a command or the director's "style" field
+     */
+    applyStyles(styles) {
+        Object.entries(styles || {}).forEach(([agentId, value]) => {
+            const agent = this.agents.get(agentId);
+            if (!agent || this.setAgentStyle(agentId, value) === null) return;
+            agent.say(`Going ${agent.styleTier.label} (style ${agent.style.toFixed(2)}).`);
+        });
+    }
+
+    /**
+     * Director system prompt listing the current roster
+     */
+    getDirectorPrompt() {
+        const agents = [...this.agents.values()];
+        const musicians = agents
+            .map(agent => `- ${agent.name} (${agent.id}): ${agent.config.role} (${agent.config.samples})`)
+            .join('\n');
+        const fields = agents
+            .map(agent => `    "${agent.id}": "specific instruction",`)
+            .join('\n');
+        const sectionFields = agents.map(agent => `"${agent.id}": "..."`).join(', ');
+
+        return CONFIG.DIRECTOR.systemPrompt
+            .replace('{count}', agents.length)
+            .replace('{musicians}', musicians)
+            .replace('{fields}', fields)
+            .replace(/\{sectionFields\}/g, sectionFields);
+    }
+
+    /**
+     * Per-agent instructions for a mood preset (presets are written per agent type)
+     */
+    moodInstructions(mood) {
+        const preset = CONFIG.MOODS[mood];
+        if (!preset) return null;
+
+        const instructions = {};
+        this.agents.forEach((agent, id) => {
+            const text = preset[id] || preset[agent.type];
+            if (text) instructions[id] = text;
+        });
+        return instructions;
     }
 
     /**
@@ -393,12 +948,69 @@ class Band {
             return null;
         }
 
-        // Provide context of other agents
-        const context = {
-            otherAgents: Object.fromEntries(this.agents)
+        return agent.generate(prompt, this.getGenerationContext());
+    }
+
+    /**
+     * Context passed to every agent generation
+     */
+    getGenerationContext() {
+        return {
+            otherAgents: Object.fromEntries(this.agents),
+            musicalContext: this.context,
+            mood: this.mood,
+            samples: this.samples,
+            heard: this.heard,
+            meters: this.meters
         };
+    }
+
+    /**
+     * Validate generated code before an agent commits it
+     */
+    validateCode(code) {
+        if (!code) {
+            return { valid: false, error: 'Empty pattern' };
+        }
+
+        // Missing samples are swapped for loaded ones first; names with no stand-in fail
+        const samples = this.samples ? this.samples.fix(code) : { valid: true, code };
+        if (!samples.valid) {
+            return { valid: false, error: samples.error };
+        }
 
-        return agent.generate(prompt, context);
+        const result = this.validator ? this.validator(samples.code) : { valid: true };
+        return samples.code === code ? result : { ...result, code: samples.code, substitutions: samples.substitutions };
+    }
+
+    /**
+     * A bandmate's request reached its target - answer and rework the pattern
+     */
+    async handleRequest(request) {
+        const agent = this.agents.get(request.to);
+        const from = this.agents.get(request.from);
+        if (!agent) return null;
+
+        await agent.waitUntilIdle();
+        agent.say(`@${from?.name || request.from}: on it - ${request.text}`);
+
+        const prompt = `${from?.name || request.from} asked you: "${request.text}"
+Rework your current pattern to honour the request while keeping its character.
+
+Your current pattern:
+${agent.code || '(silence)'}`;
+
+        return agent.generate(prompt, { ...this.getGenerationContext(), request });
+    }
+
+    /**
+     * Ask an agent to repair its pattern after an evaluation error
+     */
+    async repairAgent(agentId, error) {
+        const agent = this.agents.get(agentId);
+        if (!agent) return null;
+
+        return agent.repair(error, this.getGenerationContext());
     }
 
     /**
@@ -410,11 +1022,41 @@ class Band {
         // Parse instruction into per-agent instructions
         const agentInstructions = await this.parseDirectorInstruction(instruction);
 
+        // Style commands ("/style drums safe") change the dial without regenerating
+        if (agentInstructions.styleOnly) {
+            this.applyStyles(agentInstructions.style);
+            if (this.onDirectorPlan) {
+                this.onDirectorPlan(agentInstructions);
+            }
+            return agentInstructions;
+        }
+
+        // Free-form directions leave preset territory
+        this.mood = agentInstructions.mood || null;
+
+        // Apply context and style changes before anyone generates, so all agents agree
+        if (agentInstructions.context) {
+            this.context.update(agentInstructions.context);
+        }
+        if (agentInstructions.style) {
+            this.applyStyles(agentInstructions.style);
+        }
+
+        // Agents stream their own progress from here on
+        if (this.onDirectorPlan) {
+            this.onDirectorPlan(agentInstructions);
+        }
+
+        // Timed plans are generated and scheduled section by section by the Arranger
+        if (Array.isArray(agentInstructions.sections)) {
+            return this.normalizePlan(agentInstructions);
+        }
+
         // Generate for all agents in parallel
         const promises = Object.entries(agentInstructions).map(([agentId, prompt]) => {
             const agent = this.agents.get(agentId);
             if (agent && prompt) {
-                return agent.generate(prompt, { otherAgents: Object.fromEntries(this.agents) });
+                return agent.generate(prompt, this.getGenerationContext());
             }
             return Promise.resolve(null);
         });
@@ -427,75 +1069,185 @@ class Band {
                 this.onBandChat('director', agentInstructions.bandChat);
             }
         }
+
+        return agentInstructions;
+    }
+
+    /**
+     * Normalize a timed plan into sections with bar lengths and per-agent instructions
+     */
+    normalizePlan(plan) {
+        const sections = plan.sections
+            .filter(section => section && typeof section === 'object')
+            .map((section, index) => {
+                const bars = Math.min(
+                    Math.max(parseInt(section.bars) || CONFIG.ARRANGEMENT.defaultBars, 1),
+                    CONFIG.ARRANGEMENT.maxBars
+                );
+
+                const instructions = {};
+                this.agents.forEach((agent, id) => {
+                    const text = section[id] || section.instructions?.[id] || section.all;
+                    if (text) instructions[id] = text;
+                });
+
+                return {
+                    name: String(section.name || `section ${index + 1}`),
+                    bars,
+                    instructions,
+                    bandChat: section.bandChat || null,
+                    codes: null
+                };
+            });
+
+        return { sections, bandChat: plan.bandChat || null };
+    }
+
+    /**
+     * Does the instruction describe something that unfolds over bars?
+     */
+    isTimedInstruction(instruction) {
+        return /\b\d+\s*bars?\b/i.test(instruction) && /\bthen\b/i.test(instruction);
+    }
+
+    /**
+     * Parse "build for 8 bars then drop" without the LLM
+     */
+    parseTimedFallback(instruction) {
+        const parts = instruction
+            .replace(/^\s*(everyone|all|band)[,:]?\s*/i, '')
+            .split(/\s*(?:,\s*)?\band then\b\s*|\s*(?:,\s*)?\bthen\b\s*/i)
+            .map(part => part.trim())
+            .filter(Boolean);
+
+        if (parts.length < 2) return null;
+
+        const sections = parts.map(part => {
+            const barsMatch = part.match(/\b(?:for\s+)?(\d+)\s*bars?\b/i);
+            const text = part.replace(/\b(?:for\s+)?\d+\s*bars?\b/i, '').trim() || part;
+            const mood = Object.keys(CONFIG.MOODS).find(name => text.toLowerCase().includes(name));
+
+            const section = {
+                name: mood || text.split(/\s+/).slice(0, 3).join(' '),
+                bars: barsMatch ? parseInt(barsMatch[1]) : CONFIG.ARRANGEMENT.defaultBars,
+                all: text
+            };
+
+            // Mood presets give each agent its specific part
+            if (mood) {
+                Object.assign(section, this.moodInstructions(mood));
+            }
+
+            return section;
+        });
+
+        return { sections };
+    }
+
+    /**
+     * Compose every agent's part for one arrangement section
+     * Returns { agentId: code } for the parts that came out valid
+     */
+    async composeSection(section, options = {}) {
+        const entries = await Promise.all(
+            Object.entries(section.instructions).map(async ([agentId, prompt]) => {
+                const agent = this.agents.get(agentId);
+                if (!agent) return [agentId, null];
+
+                const context = this.getGenerationContext();
+                const code = options.background
+                    ? await agent.compose(prompt, context)
+                    : await agent.composeValid(prompt, context);
+                return [agentId, code];
+            })
+        );
+
+        return Object.fromEntries(entries.filter(([agentId, code]) => code));
+    }
+
+    /**
+     * Commit several agents' code at once without per-agent change callbacks
+     * Returns the ids of agents whose code changed
+     */
+    applyCodes(codes) {
+        const changed = [];
+
+        Object.entries(codes).forEach(([agentId, code]) => {
+            const agent = this.agents.get(agentId);
+            if (!agent || !code || agent.code === code) return;
+
+            agent.setCode(code, { silent: true });
+            agent.isActive = true;
+            agent.history.push({ code, prompt: 'arrangement', mood: this.mood, timestamp: Date.now() });
+            agent.historyIndex = agent.history.length - 1;
+            agent.updateStatus('active');
+            changed.push(agentId);
+        });
+
+        return changed;
     }
 
     /**
      * Parse director instruction into agent-specific instructions
      */
     async parseDirectorInstruction(instruction) {
-        // Check for mood presets
+        const isTimed = this.isTimedInstruction(instruction);
+
+        const styles = this.parseStyleCommand(instruction);
+        if (styles) {
+            return { style: styles, styleOnly: true };
+        }
+
+        // Check for mood presets (timed plans may mention several moods)
         const moodMatch = instruction.toLowerCase();
-        for (const [mood, instructions] of Object.entries(CONFIG.MOODS)) {
-            if (moodMatch.includes(mood)) {
-                return instructions;
+        for (const mood of Object.keys(CONFIG.MOODS)) {
+            if (!isTimed && moodMatch.includes(mood)) {
+                return { ...this.moodInstructions(mood), mood };
             }
         }
 
-        // Try to use Claude API to parse
+        // Try to use the director's LLM provider to parse
         try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': window.ANTHROPIC_API_KEY || '',
-                    'anthropic-version': '2023-06-01',
-                    'anthropic-dangerous-direct-browser-access': 'true'
-                },
-                body: JSON.stringify({
-                    model: 'claude-sonnet-4-20250514',
-                    max_tokens: 800,
-                    messages: [{
-                        role: 'user',
-                        content: `${CONFIG.DIRECTOR.systemPrompt}\n\nInstruction: "${instruction}"`
-                    }]
-                })
+            let text = await this.llm.complete('director', {
+                system: this.getDirectorPrompt(),
+                prompt: `Current musical context: ${JSON.stringify(this.context.toJSON())}\n\nInstruction: "${instruction}"`
             });
-
-            if (response.ok) {
-                const data = await response.json();
-                let text = data.content[0].text;
-                text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-                return JSON.parse(text);
-            }
+            text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+            return JSON.parse(text);
         } catch (e) {
             console.warn('[Band] Director parsing failed, using fallback:', e);
         }
 
+        // Fallback for timed directions: split on "then"
+        if (isTimed) {
+            const plan = this.parseTimedFallback(instruction);
+            if (plan) return plan;
+        }
+
         // Fallback: give same instruction to all
-        return {
-            drums: instruction,
-            bass: instruction,
-            lead: instruction,
-            pads: instruction,
-            fx: instruction
-        };
+        const instructions = {};
+        this.agents.forEach((agent, id) => {
+            instructions[id] = instruction;
+        });
+        return instructions;
     }
 
     /**
      * Apply mood preset
      */
     async applyMood(mood) {
-        const instructions = CONFIG.MOODS[mood];
+        const instructions = this.moodInstructions(mood);
         if (!instructions) {
             console.error('[Band] Unknown mood:', mood);
             return;
         }
+        this.mood = mood;
 
         // Generate for all agents
         const promises = Object.entries(instructions).map(([agentId, prompt]) => {
             const agent = this.agents.get(agentId);
             if (agent) {
-                return agent.generate(prompt, { otherAgents: Object.fromEntries(this.agents) });
+                return agent.generate(prompt, this.getGenerationContext());
             }
             return Promise.resolve(null);
         });
@@ -504,22 +1256,54 @@ class Band {
     }
 
     /**
-     * Get combined Strudel code
+     * One pattern slot per agent - inactive or muted agents get empty code
+     * so the engine silences them without forgetting their last good pattern
+     */
+    getPatternSlots() {
+        const active = new Set(this.getActiveAgents().map(agent => agent.id));
+
+        return [...this.agents.values()].map(agent => ({
+            id: agent.id,
+            label: Band.slotLabel(agent.id),
+            code: active.has(agent.id) ? agent.code : ''
+        }));
+    }
+
+    /**
+     * Get combined Strudel code (one labeled pattern per active agent)
      */
     getCombinedCode() {
-        const activeAgents = this.getActiveAgents();
+        const slots = this.getPatternSlots().filter(slot => slot.code);
 
-        if (activeAgents.length === 0) {
+        if (slots.length === 0) {
             return '// No active patterns';
         }
 
-        if (activeAgents.length === 1) {
-            return activeAgents[0].code;
-        }
+        return slots.map(slot => {
+            try {
+                return this.sandbox.label(slot.code, slot.label);
+            } catch (error) {
+                return `${slot.label}: ${slot.code}`;
+            }
+        }).join('\n\n');
+    }
+
+    /**
+     * Strudel pattern label for an agent id ("lead-2" -> "lead_2")
+     */
+    static slotLabel(agentId) {
+        const label = String(agentId).replace(/[^a-zA-Z0-9_$]/g, '_');
 
-        // Stack all patterns
-        const patterns = activeAgents.map(a => `  // ${a.name}\n  ${a.code}`);
-        return `stack(\n${patterns.join(',\n')}\n)`;
+        // Labels starting with "_" are muted in Strudel, and keywords can't be labels
+        try {
+            if (/^[a-zA-Z$]/.test(label)) {
+                new Function(`${label}: 0`);
+                return label;
+            }
+        } catch (e) {
+            // Fall through to a prefixed label
+        }
+        return `agent${label}`;
     }
 
     /**
@@ -544,6 +1328,7 @@ class Band {
      * Clear all agents
      */
     clearAll() {
+        this.bus.clear();
         this.agents.forEach(agent => agent.clear());
     }
 }
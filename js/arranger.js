@@ -0,0 +1,217 @@
+/**
+ * STRUDEL BAND - Arranger
+ * Plays timed director plans ("build for 8 bars then drop") section by section,
+ * switching patterns on bar boundaries
+ */
+
+class Arranger {
+    constructor(band, engine) {
+        this.band = band;
+        this.engine = engine;
+
+        // State
+        this.plan = null;
+        this.index = -1;
+        this.barsLeft = 0;
+        this.barCycle = 0;
+        this.timer = null;
+        this.runId = 0;
+
+        // Callbacks
+        this.onSectionStart = null;
+        this.onCountdown = null;
+        this.onWaiting = null;
+        this.onEnd = null;
+    }
+
+    /**
+     * Is an arrangement in progress?
+     */
+    get isRunning() {
+        return this.plan !== null;
+    }
+
+    /**
+     * Current section, if any
+     */
+    get currentSection() {
+        return this.plan?.sections[this.index] || null;
+    }
+
+    /**
+     * Start a plan: the first section is generated visibly, the rest in the background
+     */
+    async start(plan) {
+        this.stop();
+        if (!plan?.sections?.length) return;
+
+        const runId = ++this.runId;
+        this.plan = plan;
+        console.log('[Arranger] Starting:', plan.sections.map(s => `${s.name} (${s.bars})`).join(' → '));
+
+        const first = plan.sections[0];
+        first.codes = await this.band.composeSection(first);
+        if (runId !== this.runId) return;
+        this.saveIfComplete(plan);
+
+        // Pre-generate later sections one after another while the first one plays
+        plan.sections.slice(1).reduce(
+            (chain, section) => chain.then(() => this.prepareSection(section, runId)),
+            Promise.resolve()
+        );
+
+        if (this.engine.isPlaying) {
+            const cycle = this.engine.getNextBarCycle();
+            this.schedule(cycle, () => this.enterSection(0, cycle));
+        } else {
+            this.enterSection(0, null);
+        }
+    }
+
+    /**
+     * Generate a section's patterns without touching what is playing
+     */
+    async prepareSection(section, runId) {
+        if (runId !== this.runId) return;
+
+        try {
+            const codes = await this.band.composeSection(section, { background: true });
+            if (runId === this.runId) {
+                section.codes = codes;
+                console.log(`[Arranger] Section "${section.name}" ready`);
+                this.saveIfComplete(this.plan);
+            }
+        } catch (error) {
+            console.error(`[Arranger] Section "${section.name}" failed:`, error);
+            if (runId === this.runId) {
+                section.codes = {};
+            }
+        }
+    }
+
+    /**
+     * Keep the last fully generated plan in the session so it can be rendered offline
+     */
+    saveIfComplete(plan) {
+        if (!plan.sections.every(section => section.codes)) return;
+
+        this.band.session.set('arrangement', {
+            sections: plan.sections.map(({ name, bars, codes }) => ({ name, bars, codes }))
+        });
+    }
+
+    /**
+     * Switch to a section - cycle is the bar boundary it starts on (null when starting playback)
+     */
+    enterSection(index, cycle) {
+        const section = this.plan.sections[index];
+        this.index = index;
+        this.barsLeft = section.bars;
+
+        if (this.onSectionStart) {
+            this.onSectionStart(section, index, this.plan, cycle);
+        }
+
+        // Starting from silence: playback (and cycle 0) begins with this section
+        this.barCycle = cycle === null ? this.engine.getCycle() : cycle;
+
+        const next = this.plan.sections[index + 1];
+        if (!next) {
+            this.finish();
+            return;
+        }
+
+        if (this.onCountdown) {
+            this.onCountdown(section, this.barsLeft, next);
+        }
+        this.scheduleBar();
+    }
+
+    /**
+     * Wake up just before the next bar line
+     */
+    scheduleBar() {
+        const cycle = this.barCycle + this.engine.cyclesPerBar;
+        this.schedule(cycle, () => {
+            this.barCycle = cycle;
+            this.onBar();
+        });
+    }
+
+    /**
+     * Run a callback ahead of the given cycle (on Strudel's scheduler clock)
+     */
+    schedule(cycle, callback) {
+        clearTimeout(this.timer);
+        const delay = Math.max(0, this.engine.msUntilCycle(cycle) - CONFIG.ARRANGEMENT.lookaheadMs);
+        this.timer = setTimeout(callback, delay);
+    }
+
+    /**
+     * Bar boundary reached: count down, switch, or wait for a late section
+     */
+    onBar() {
+        if (!this.isRunning) return;
+
+        // Transport stopped underneath us
+        if (!this.engine.isPlaying) {
+            this.stop();
+            return;
+        }
+
+        const section = this.currentSection;
+        const next = this.plan.sections[this.index + 1];
+        this.barsLeft = Math.max(0, this.barsLeft - 1);
+
+        if (this.barsLeft > 0) {
+            if (this.onCountdown) {
+                this.onCountdown(section, this.barsLeft, next);
+            }
+            this.scheduleBar();
+            return;
+        }
+
+        // Next section still generating - extend this one by a bar
+        if (!next.codes) {
+            if (this.onWaiting) {
+                this.onWaiting(section, next);
+            }
+            this.scheduleBar();
+            return;
+        }
+
+        this.enterSection(this.index + 1, this.barCycle);
+    }
+
+    /**
+     * Last section reached - it keeps playing
+     */
+    finish() {
+        const plan = this.plan;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.plan = null;
+
+        if (this.onEnd) {
+            this.onEnd(plan);
+        }
+    }
+
+    /**
+     * Abandon the arrangement (pending background generations are discarded)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.runId++;
+
+        if (this.plan) {
+            console.log('[Arranger] Stopped');
+        }
+        this.plan = null;
+        this.index = -1;
+    }
+}
+
+// Export
+window.Arranger = Arranger;
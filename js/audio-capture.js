@@ -4,41 +4,68 @@
  */
 
 class AudioCapture {
-    constructor() {
+    constructor(engine) {
+        this.engine = engine;
+
+        // Strudel's own context - the band's audio only exists there
         this.audioContext = null;
-        this.mediaStreamDestination = null;
+        this.bandOutput = null;
         this.mediaRecorder = null;
         this.analyserNode = null;
         this.isCapturing = false;
         this.onAudioData = null;
         this.onAnalyzerData = null;
 
-        // Resampling for Gemini (16kHz mono)
+        // Resampling for Gemini (16kHz mono), from whatever rate the context runs at
         this.targetSampleRate = CONFIG.AUDIO.sampleRate;
+        this.resampler = null;
         this.captureInterval = CONFIG.AUDIO.captureInterval;
         this.captureTimer = null;
 
-        // Audio buffer for streaming
-        this.audioBuffer = [];
+        // AudioWorklet capture: input -> capture-processor -> silent sink, kept alive across pauses
+        this.workletReady = false;
+        this.captureInput = null;
+        this.captureNode = null;
+        this.captureSink = null;
+        this.isPaused = false;
+
+        // Audio analysis (tempo, key): a second capture processor, listening to the band or to an external input
+        this.beatTracker = null;
+        this.keyDetector = null;
+        this.analysisNode = null;
+        this.analysisTimer = null;
+        this.analysisSource = null;
+
+        // Mic / line-in the band plays against
+        this.externalStream = null;
+        this.externalSource = null;
+
+        // Callbacks
+        this.onTempo = null;        // ({ bpm, confidence, period, beatTime, downbeatTime })
+        this.onKey = null;          // ({ key, scale, keyConfidence, chord, chordConfidence, chroma })
     }
 
     /**
-     * Initialize audio capture from Strudel output
+     * Initialize audio capture from Strudel output, in Strudel's audio context
+     * (call after the engine is initialized - in mock mode there is nothing to capture)
      */
     async init() {
-        try {
-            // Get or create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 48000 // Strudel's output rate
-            });
+        this.audioContext = this.engine.getAudioContext();
+        if (!this.audioContext) {
+            console.warn('[AudioCapture] No Strudel audio, capture is unavailable');
+            return false;
+        }
 
+        try {
             // Create analyser for visualization
             this.analyserNode = this.audioContext.createAnalyser();
             this.analyserNode.fftSize = 256;
             this.analyserNode.smoothingTimeConstant = 0.8;
 
-            // Create destination for capturing
-            this.mediaStreamDestination = this.audioContext.createMediaStreamDestination();
+            // Everything connected here is what the agents hear
+            this.captureInput = this.audioContext.createGain();
+            this.connectBand();
+            await this.loadWorklet();
 
             console.log('[AudioCapture] Initialized');
             return true;
@@ -49,87 +76,302 @@ class AudioCapture {
     }
 
     /**
-     * Connect Strudel's audio output to our capture pipeline
-     * This should be called after Strudel initializes
+     * Tap the band bus - again if Strudel's output was rebuilt since
+     */
+    connectBand() {
+        const output = this.engine.getOutputNode();
+        if (!output || output === this.bandOutput) return;
+
+        this.bandOutput?.disconnect(this.analyserNode);
+        this.bandOutput?.disconnect(this.captureInput);
+        output.connect(this.analyserNode);
+        output.connect(this.captureInput);
+        this.bandOutput = output;
+    }
+
+    /**
+     * Load the capture processor - without AudioWorklet support there is no capture
      */
-    connectStrudelOutput(strudelAudioNode) {
-        if (!this.audioContext || !strudelAudioNode) {
-            console.warn('[AudioCapture] Cannot connect - not initialized');
+    async loadWorklet() {
+        if (!this.audioContext.audioWorklet) {
+            console.warn('[AudioCapture] AudioWorklet not supported, listening is unavailable');
             return;
         }
 
-        // Connect Strudel output to analyzer
-        strudelAudioNode.connect(this.analyserNode);
+        try {
+            await this.audioContext.audioWorklet.addModule('js/worklets/capture-processor.js');
+            this.workletReady = true;
+        } catch (error) {
+            console.error('[AudioCapture] Capture worklet failed to load:', error);
+        }
+    }
 
-        // Connect to capture destination
-        strudelAudioNode.connect(this.mediaStreamDestination);
+    /**
+     * A capture processor posting its batches to onChunk
+     * The processor writes nothing to its output, and the sink is muted as well,
+     * so the main output is never touched
+     */
+    createProcessor(onChunk) {
+        const node = new AudioWorkletNode(this.audioContext, 'capture-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: { bufferSeconds: CONFIG.AUDIO.captureBufferSeconds }
+        });
+        node.port.onmessage = (e) => {
+            if (e.data.type === 'chunk') onChunk(e.data.samples, e.data.dropped);
+        };
 
-        console.log('[AudioCapture] Connected to Strudel output');
+        // Processors only run while connected towards the destination
+        if (!this.captureSink) {
+            this.captureSink = this.audioContext.createGain();
+            this.captureSink.gain.value = 0;
+            this.captureSink.connect(this.audioContext.destination);
+        }
+        node.connect(this.captureSink);
+        return node;
+    }
+
+    /**
+     * Build the streaming graph once; it stays connected until stopCapture
+     */
+    createCaptureNode() {
+        this.captureNode = this.createProcessor((samples, dropped) => this.handleChunk(samples, dropped));
+        this.captureInput.connect(this.captureNode);
     }
 
     /**
      * Start capturing audio for streaming to Gemini
+     * Chunks are batched in the worklet and sent every captureInterval ms - returns false if capture is unavailable
      */
     startCapture(onAudioData) {
-        if (this.isCapturing) return;
+        if (this.isCapturing) return true;
+        if (!this.workletReady) {
+            console.warn('[AudioCapture] Cannot capture - worklet not loaded');
+            return false;
+        }
 
         this.onAudioData = onAudioData;
         this.isCapturing = true;
 
-        // Use ScriptProcessor for raw PCM access (deprecated but works)
-        // In production, use AudioWorklet
-        const bufferSize = CONFIG.AUDIO.bufferSize;
-        this.scriptProcessor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        this.connectBand();
+        if (!this.captureNode) {
+            this.createCaptureNode();
+        }
+        if (!this.resampler) {
+            this.resampler = new Resampler(this.audioContext.sampleRate, this.targetSampleRate);
+        }
 
-        this.scriptProcessor.onaudioprocess = (event) => {
-            if (!this.isCapturing) return;
+        this.isPaused = true;
+        this.resumeCapture();
 
-            const inputData = event.inputBuffer.getChannelData(0);
+        console.log('[AudioCapture] Started capture');
+        return true;
+    }
 
-            // Resample to 16kHz
-            const resampledData = this.resample(inputData, this.audioContext.sampleRate, this.targetSampleRate);
+    /**
+     * Stop buffering without tearing down the graph (e.g. while the band is stopped)
+     */
+    pauseCapture() {
+        if (!this.isCapturing || this.isPaused) return;
 
-            // Convert to 16-bit PCM
-            const pcm16 = this.floatTo16BitPCM(resampledData);
+        this.isPaused = true;
+        this.clearCaptureTimer();
+        this.captureNode.port.postMessage({ type: 'pause' });
+    }
 
-            // Convert to base64
-            const base64Audio = this.arrayBufferToBase64(pcm16.buffer);
+    /**
+     * Pick up capturing again after pauseCapture
+     */
+    resumeCapture() {
+        if (!this.isCapturing || !this.isPaused) return;
+
+        this.isPaused = false;
+        this.connectBand();
+        this.resampler.reset();
+        this.captureNode.port.postMessage({ type: 'resume' });
+        this.captureTimer = setInterval(() => {
+            this.captureNode.port.postMessage({ type: 'flush' });
+        }, this.captureInterval);
+    }
 
-            // Send to callback
-            if (this.onAudioData) {
-                this.onAudioData(base64Audio);
-            }
-        };
+    clearCaptureTimer() {
+        if (this.captureTimer) {
+            clearInterval(this.captureTimer);
+            this.captureTimer = null;
+        }
+    }
 
-        // Connect to script processor
-        this.mediaStreamDestination.stream.getAudioTracks().forEach(track => {
-            const source = this.audioContext.createMediaStreamSource(
-                new MediaStream([track])
-            );
-            source.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.audioContext.destination);
-        });
+    /**
+     * One batch from the worklet: resample, convert to 16-bit PCM and send as base64
+     */
+    handleChunk(samples, dropped) {
+        if (!this.isCapturing || this.isPaused) return;
 
-        console.log('[AudioCapture] Started capture');
+        if (dropped > 0) {
+            console.warn(`[AudioCapture] Capture fell behind, dropped ${dropped} samples`);
+        }
+
+        // Resample to 16kHz
+        const resampledData = this.resampler.process(samples);
+
+        // Convert to 16-bit PCM
+        const pcm16 = this.floatTo16BitPCM(resampledData);
+
+        // Convert to base64
+        const base64Audio = this.arrayBufferToBase64(pcm16.buffer);
+
+        // Send to callback
+        if (this.onAudioData) {
+            this.onAudioData(base64Audio);
+        }
     }
 
     /**
-     * Stop capturing
+     * Stop capturing and take down the capture graph
      */
     stopCapture() {
         this.isCapturing = false;
+        this.isPaused = false;
+        this.clearCaptureTimer();
+
+        if (this.captureNode) {
+            this.captureNode.port.postMessage({ type: 'pause' });
+            this.captureNode.port.onmessage = null;
+            this.captureInput.disconnect(this.captureNode);
+            this.captureNode.disconnect();
+            this.captureNode = null;
+        }
 
-        if (this.scriptProcessor) {
-            this.scriptProcessor.disconnect();
-            this.scriptProcessor = null;
+        console.log('[AudioCapture] Stopped capture');
+    }
+
+    // ==================== Audio analysis ====================
+
+    /**
+     * Start detecting tempo, downbeats, key and chords - runs until stopAnalysis, independent of streaming
+     * Returns false if capture is unavailable
+     */
+    startAnalysis(beatsPerBar) {
+        if (this.analysisNode) return true;
+        if (!this.workletReady) return false;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
         }
+        this.connectBand();
+
+        this.beatTracker = new BeatTracker(this.audioContext.sampleRate, beatsPerBar);
+        this.keyDetector = new KeyDetector(this.audioContext.sampleRate);
+        this.analysisNode = this.createProcessor((samples) => this.handleAnalysisChunk(samples));
+        this.connectAnalysisSource();
+        this.analysisTimer = setInterval(() => {
+            this.analysisNode.port.postMessage({ type: 'flush' });
+        }, this.captureInterval);
+
+        console.log('[AudioCapture] Started audio analysis');
+        return true;
+    }
 
-        if (this.captureTimer) {
-            clearInterval(this.captureTimer);
-            this.captureTimer = null;
+    stopAnalysis() {
+        if (!this.analysisNode) return;
+
+        clearInterval(this.analysisTimer);
+        this.analysisTimer = null;
+        this.analysisSource?.disconnect(this.analysisNode);
+        this.analysisSource = null;
+        this.analysisNode.port.onmessage = null;
+        this.analysisNode.disconnect();
+        this.analysisNode = null;
+        this.beatTracker = null;
+        this.keyDetector = null;
+    }
+
+    /**
+     * Analyse the external input while one is open, else the band - captureInput carries
+     * only the band bus then
+     */
+    connectAnalysisSource() {
+        if (!this.analysisNode) return;
+
+        const source = this.externalSource || this.captureInput;
+        if (source === this.analysisSource) return;
+
+        this.analysisSource?.disconnect(this.analysisNode);
+        source.connect(this.analysisNode);
+        this.analysisSource = source;
+        this.beatTracker.reset();
+        this.keyDetector.reset();
+    }
+
+    handleAnalysisChunk(samples) {
+        if (!this.analysisNode) return;
+
+        const time = this.audioContext.currentTime;
+        const tempo = this.beatTracker.process(samples, time);
+        if (tempo && this.onTempo) {
+            this.onTempo(tempo);
         }
 
-        console.log('[AudioCapture] Stopped capture');
+        const key = this.keyDetector.process(samples, time);
+        if (key && this.onKey) {
+            this.onKey(key);
+        }
+    }
+
+    setBeatsPerBar(beats) {
+        if (this.beatTracker) this.beatTracker.beatsPerBar = beats;
+    }
+
+    /**
+     * Latest key and chord estimate, null before analysis starts
+     */
+    getDetectedKey() {
+        return this.keyDetector?.result ?? null;
+    }
+
+    /**
+     * Current position in the bar (1 = downbeat), null until a tempo is detected
+     */
+    getBeatPosition() {
+        return this.beatTracker?.beatAt(this.audioContext.currentTime) ?? null;
+    }
+
+    /**
+     * Open a mic / line-in: it shows in the analyzer, agents hear it and the analysis follows it
+     * Browser processing is turned off, it smears the transients the detection relies on
+     */
+    async openExternalInput() {
+        if (this.externalSource) return;
+
+        this.externalStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.externalSource = this.audioContext.createMediaStreamSource(this.externalStream);
+        this.externalSource.connect(this.analyserNode);
+        this.externalSource.connect(this.captureInput);
+        this.connectAnalysisSource();
+
+        console.log('[AudioCapture] External input open');
+    }
+
+    closeExternalInput() {
+        if (!this.externalSource) return;
+
+        if (this.analysisSource === this.externalSource) {
+            this.externalSource.disconnect(this.analysisNode);
+            this.analysisSource = null;
+        }
+        this.externalSource.disconnect();
+        this.externalStream.getTracks().forEach(track => track.stop());
+        this.externalSource = null;
+        this.externalStream = null;
+        this.connectAnalysisSource();
+
+        console.log('[AudioCapture] External input closed');
     }
 
     /**
@@ -159,35 +401,14 @@ class AudioCapture {
     }
 
     /**
-     * Resample audio to target sample rate
-     */
-    resample(inputBuffer, fromSampleRate, toSampleRate) {
-        const ratio = fromSampleRate / toSampleRate;
-        const newLength = Math.round(inputBuffer.length / ratio);
-        const result = new Float32Array(newLength);
-
-        for (let i = 0; i < newLength; i++) {
-            const srcIndex = i * ratio;
-            const srcIndexFloor = Math.floor(srcIndex);
-            const srcIndexCeil = Math.min(srcIndexFloor + 1, inputBuffer.length - 1);
-            const t = srcIndex - srcIndexFloor;
-
-            // Linear interpolation
-            result[i] = inputBuffer[srcIndexFloor] * (1 - t) + inputBuffer[srcIndexCeil] * t;
-        }
-
-        return result;
-    }
-
-    /**
-     * Convert float audio to 16-bit PCM
+     * Convert float audio to 16-bit PCM (clipped to [-1, 1], rounded to the nearest step)
      */
     floatTo16BitPCM(float32Array) {
         const int16Array = new Int16Array(float32Array.length);
 
         for (let i = 0; i < float32Array.length; i++) {
-            const s = Math.max(-1, Math.min(1, float32Array[i]));
-            int16Array[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+            const s = Math.max(-1, Math.min(1, float32Array[i] || 0));
+            int16Array[i] = Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF);
         }
 
         return int16Array;
@@ -233,20 +454,27 @@ class AudioCapture {
             midEnergy: midEnergy / (third * 255),
             highEnergy: highEnergy / (third * 255),
             isLoud: avgEnergy > 150,
-            isQuiet: avgEnergy < 50
+            isQuiet: avgEnergy < 50,
+            tempo: this.beatTracker?.result?.bpm ?? null,
+            tempoConfidence: this.beatTracker?.result?.confidence ?? 0,
+            beat: this.getBeatPosition()
         };
     }
 
     /**
-     * Cleanup
+     * Cleanup - the audio context is Strudel's and stays open
      */
     destroy() {
         this.stopCapture();
+        this.stopAnalysis();
+        this.closeExternalInput();
 
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+        if (this.bandOutput) {
+            this.bandOutput.disconnect(this.analyserNode);
+            this.bandOutput.disconnect(this.captureInput);
+            this.bandOutput = null;
         }
+        this.audioContext = null;
     }
 }
 
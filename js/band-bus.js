@@ -0,0 +1,181 @@
+/**
+ * STRUDEL BAND - Band Bus
+ * Requests between agents ("LEAD → BASS: leave space on beat 3"),
+ * queued per target agent and optionally approved by the user
+ */
+
+class BandBus {
+    constructor() {
+        this.settings = this.loadSettings();
+
+        // State
+        this.requests = new Map();
+        this.queues = new Map();
+        this.processing = new Set();
+        this.nextId = 1;
+
+        // Callbacks
+        this.onRequest = null;      // (request) - posted, may be awaiting approval
+        this.onDeliver = null;      // async (request) - target agent acts on it
+        this.onResolve = null;      // (request) - done, rejected, failed or dropped
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    loadSettings() {
+        const settings = { requireApproval: CONFIG.BUS.requireApproval };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem('band_bus_settings') || '{}');
+            if (typeof stored.requireApproval === 'boolean') {
+                settings.requireApproval = stored.requireApproval;
+            }
+        } catch (e) {
+            console.warn('[BandBus] Invalid stored settings, using defaults:', e);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Require user approval before agents act on each other's requests
+     */
+    setRequireApproval(enabled) {
+        this.settings.requireApproval = Boolean(enabled);
+        localStorage.setItem('band_bus_settings', JSON.stringify(this.settings));
+    }
+
+    /**
+     * Post a request from one agent to another
+     * depth counts how many requests led to this one (1 = asked by a directed agent)
+     */
+    post(from, to, text, depth = 1) {
+        if (depth > CONFIG.BUS.maxDepth) {
+            console.log(`[BandBus] Dropping ${from} → ${to} (depth ${depth})`);
+            return null;
+        }
+
+        if (this.backlog(to) >= CONFIG.BUS.maxQueue) {
+            console.log(`[BandBus] Queue for ${to} is full, dropping request from ${from}`);
+            return null;
+        }
+
+        const request = {
+            id: this.nextId++,
+            from,
+            to,
+            text: text.trim().slice(0, 200),
+            depth,
+            status: this.settings.requireApproval ? 'pending' : 'approved',
+            timestamp: Date.now()
+        };
+        this.requests.set(request.id, request);
+
+        if (this.onRequest) {
+            this.onRequest(request);
+        }
+
+        if (request.status === 'approved') {
+            this.enqueue(request);
+        }
+
+        return request;
+    }
+
+    /**
+     * Requests waiting for an agent - queued or still awaiting approval
+     */
+    backlog(agentId) {
+        const queued = (this.queues.get(agentId) || []).length;
+        const pending = [...this.requests.values()]
+            .filter(request => request.to === agentId && request.status === 'pending')
+            .length;
+        return queued + pending;
+    }
+
+    /**
+     * Approve a pending request
+     */
+    approve(requestId) {
+        const request = this.requests.get(requestId);
+        if (!request || request.status !== 'pending') return;
+
+        request.status = 'approved';
+        this.enqueue(request);
+    }
+
+    /**
+     * Reject a pending request
+     */
+    reject(requestId) {
+        const request = this.requests.get(requestId);
+        if (!request || request.status !== 'pending') return;
+
+        this.resolve(request, 'rejected');
+    }
+
+    /**
+     * Queue an approved request for its target
+     */
+    enqueue(request) {
+        const queue = this.queues.get(request.to) || [];
+        queue.push(request);
+        this.queues.set(request.to, queue);
+        this.process(request.to);
+    }
+
+    /**
+     * Deliver queued requests to an agent one at a time
+     */
+    async process(agentId) {
+        if (this.processing.has(agentId)) return;
+        this.processing.add(agentId);
+
+        try {
+            const queue = this.queues.get(agentId) || [];
+            while (queue.length > 0) {
+                const request = queue.shift();
+                request.status = 'delivering';
+
+                try {
+                    const result = this.onDeliver ? await this.onDeliver(request) : null;
+                    this.resolve(request, result ? 'done' : 'failed');
+                } catch (error) {
+                    console.error(`[BandBus] Request ${request.id} failed:`, error);
+                    this.resolve(request, 'failed');
+                }
+            }
+        } finally {
+            this.processing.delete(agentId);
+        }
+    }
+
+    /**
+     * Mark a request finished
+     */
+    resolve(request, status) {
+        request.status = status;
+        this.requests.delete(request.id);
+
+        if (this.onResolve) {
+            this.onResolve(request);
+        }
+    }
+
+    /**
+     * Reject everything pending and drop queued requests
+     */
+    clear() {
+        this.queues.forEach(queue => {
+            queue.splice(0).forEach(request => this.resolve(request, 'dropped'));
+        });
+
+        [...this.requests.values()]
+            .filter(request => request.status === 'pending')
+            .forEach(request => this.resolve(request, 'dropped'));
+    }
+}
+
+// Export
+window.BandBus = BandBus;
@@ -0,0 +1,192 @@
+/**
+ * STRUDEL BAND - Beat Tracker
+ * Onset-based tempo and downbeat detection on a mono audio stream:
+ * spectral flux -> autocorrelation for the beat period -> comb search for the beat phase,
+ * with low-frequency onsets (kicks) picking out the downbeat
+ */
+
+class BeatTracker {
+    constructor(sampleRate, beatsPerBar = 4) {
+        const settings = CONFIG.BEAT;
+
+        this.sampleRate = sampleRate;
+        this.beatsPerBar = beatsPerBar;
+
+        // ~20 ms frames, ~frameRate frames per second
+        this.frameSize = 2 ** Math.round(Math.log2(sampleRate / 48));
+        this.hop = Math.max(1, Math.round(sampleRate / settings.frameRate));
+        this.frameRate = sampleRate / this.hop;
+        this.window = Float32Array.from({ length: this.frameSize }, (_, i) =>
+            0.5 - 0.5 * Math.cos(2 * Math.PI * i / this.frameSize));
+        this.lowBins = Math.max(1, Math.round(settings.lowHz * this.frameSize / sampleRate));
+        this.maxFrames = Math.round(settings.windowSeconds * this.frameRate);
+
+        this.reset();
+    }
+
+    /**
+     * Forget everything heard so far (e.g. when the source changes)
+     */
+    reset() {
+        this.pending = new Float32Array(0);
+        this.previous = null;
+
+        // Onset envelope: full-band and low-band flux, and each frame's time in seconds
+        this.onsets = [];
+        this.lowOnsets = [];
+        this.times = [];
+
+        this.lastEstimate = -Infinity;
+        this.result = null;
+    }
+
+    /**
+     * Feed the next samples; endTime is the time of the last one (e.g. AudioContext time)
+     * Returns a new estimate when one is due, else null
+     */
+    process(samples, endTime) {
+        const buffer = new Float32Array(this.pending.length + samples.length);
+        buffer.set(this.pending);
+        buffer.set(samples, this.pending.length);
+
+        let start = 0;
+        for (; start + this.frameSize <= buffer.length; start += this.hop) {
+            const center = endTime - (buffer.length - start - this.frameSize / 2) / this.sampleRate;
+            this.addFrame(buffer.subarray(start, start + this.frameSize), center);
+        }
+        this.pending = buffer.slice(start);
+
+        if (endTime - this.lastEstimate < CONFIG.BEAT.updateMs / 1000) return null;
+        this.lastEstimate = endTime;
+        this.result = this.estimate();
+        return this.result;
+    }
+
+    /**
+     * Log-magnitude spectral flux of one frame, rectified so only rising energy counts
+     */
+    addFrame(frame, time) {
+        const size = this.frameSize;
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        for (let i = 0; i < size; i++) re[i] = frame[i] * this.window[i];
+        FFT.transform(re, im);
+
+        // The low band uses plain magnitudes - compressed, a broadband snare outweighs the kick
+        const bins = size / 2;
+        const magnitudes = new Float32Array(bins);
+        let flux = 0;
+        let lowFlux = 0;
+        for (let k = 1; k < bins; k++) {
+            const magnitude = Math.hypot(re[k], im[k]);
+            magnitudes[k] = Math.log1p(CONFIG.BEAT.compression * magnitude);
+            if (!this.previous) continue;
+
+            flux += Math.max(0, magnitudes[k] - this.previous[k]);
+            if (k <= this.lowBins) lowFlux += Math.max(0, magnitude - this.previousLow[k]);
+        }
+        this.previous = magnitudes;
+        this.previousLow = magnitudes.map(value => Math.expm1(value) / CONFIG.BEAT.compression);
+
+        this.onsets.push(flux);
+        this.lowOnsets.push(lowFlux);
+        this.times.push(time);
+        if (this.onsets.length > this.maxFrames) {
+            this.onsets.shift();
+            this.lowOnsets.shift();
+            this.times.shift();
+        }
+    }
+
+    /**
+     * Tempo, beat and downbeat from the onset envelope
+     * { bpm, confidence, period, beatTime, downbeatTime } - bpm null until there is enough to go on
+     */
+    estimate() {
+        const settings = CONFIG.BEAT;
+        const n = this.onsets.length;
+        const empty = { bpm: null, confidence: 0, period: null, beatTime: null, downbeatTime: null };
+        if (n < settings.minSeconds * this.frameRate) return empty;
+
+        const mean = this.onsets.reduce((sum, value) => sum + value, 0) / n;
+        const x = this.onsets.map(value => value - mean);
+        const energy = x.reduce((sum, value) => sum + value * value, 0) / n;
+        if (energy < 1e-9) return empty;
+
+        const acf = (lag) => {
+            if (lag >= n) return 0;
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) sum += x[i] * x[i + lag];
+            return sum / (n - lag) / energy;
+        };
+
+        // Candidate periods in frames, scored with their double and a mild preference for mid tempos
+        const minLag = Math.floor(60 * this.frameRate / settings.maxBpm);
+        const maxLag = Math.ceil(60 * this.frameRate / settings.minBpm);
+        const values = [];
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) values[lag] = acf(lag);
+
+        let bestLag = null;
+        let bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const octaves = Math.log2(60 * this.frameRate / lag / settings.preferredBpm);
+            const prior = Math.exp(-0.5 * octaves * octaves);
+            const score = (values[lag] + 0.5 * acf(lag * 2) + 0.5 * acf(Math.round(lag / 2))) * prior;
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+
+        // Parabolic interpolation for a fractional period
+        const [a, b, c] = [values[bestLag - 1], values[bestLag], values[bestLag + 1]];
+        const curvature = a - 2 * b + c;
+        const period = bestLag + (curvature < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / curvature)) : 0);
+        const confidence = Math.max(0, Math.min(1, b));
+
+        // Beat phase: the offset from the newest frame whose comb of beats collects the most onset
+        let bestOffset = 0;
+        let bestSum = -Infinity;
+        for (let offset = 0; offset < Math.round(period); offset++) {
+            let sum = 0;
+            for (let t = n - 1 - offset; t >= 0; t -= period) sum += this.onsets[Math.round(t)] || 0;
+            if (sum > bestSum) {
+                bestSum = sum;
+                bestOffset = offset;
+            }
+        }
+        const lastBeat = n - 1 - bestOffset;
+
+        // Downbeat: the position in the bar where the low end hits hardest
+        const strength = new Array(this.beatsPerBar).fill(0);
+        for (let beat = 0; lastBeat - beat * period >= 0; beat++) {
+            const i = Math.round(lastBeat - beat * period);
+            strength[beat % this.beatsPerBar] += this.lowOnsets[i];
+        }
+        const beatsSinceDownbeat = strength.indexOf(Math.max(...strength));
+
+        const seconds = period / this.frameRate;
+        const beatTime = this.times[lastBeat];
+        return {
+            bpm: Math.round(600 / seconds) / 10,
+            confidence: Math.round(confidence * 100) / 100,
+            period: seconds,
+            beatTime,
+            downbeatTime: beatTime - beatsSinceDownbeat * seconds
+        };
+    }
+
+    /**
+     * Position in the bar at a time, from the last estimate - 1 is the downbeat, null when unknown
+     */
+    beatAt(time) {
+        const result = this.result;
+        if (!result?.bpm) return null;
+
+        const beats = Math.floor((time - result.downbeatTime) / result.period + 0.001);
+        return ((beats % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar + 1;
+    }
+}
+
+// Export
+window.BeatTracker = BeatTracker;
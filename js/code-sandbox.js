@@ -0,0 +1,588 @@
+/**
+ * STRUDEL BAND - Code Sandbox
+ * Parses generated code and only lets through the Strudel subset the band needs:
+ * allowlisted functions and methods, literals, mini-notation strings and simple
+ * arrow functions. Everything else is rejected with its line and column.
+ */
+
+// Top-level functions a pattern may call
+const SANDBOX_FUNCTIONS = [
+    // Pattern constructors
+    's', 'sound', 'note', 'n', 'freq', 'chord', 'stack', 'cat', 'seq', 'sequence', 'fastcat', 'slowcat',
+    'randcat', 'wrandcat', 'polymeter', 'polymeterSteps', 'polyrhythm', 'pr', 'timeCat', 'timecat',
+    'arrange', 'pure', 'mini', 'm', 'run', 'irand', 'choose', 'chooseCycles', 'wchoose', 'binary', 'binaryN',
+    'reify'
+];
+
+// Bare identifiers that can be used as values
+const SANDBOX_CONSTANTS = [
+    'silence', 'true', 'false',
+    // Continuous signals
+    'sine', 'sine2', 'cosine', 'cosine2', 'saw', 'saw2', 'isaw', 'isaw2', 'square', 'square2',
+    'tri', 'tri2', 'rand', 'rand2', 'perlin', 'envL', 'envR', 'envEq', 'envEqR',
+    // Transforms passed by name, as in jux(rev)
+    'rev', 'palindrome', 'brak', 'press', 'degrade', 'undegrade', 'invert', 'inv'
+];
+
+// Methods that can be chained on a pattern
+const SANDBOX_METHODS = [
+    // Sound and sample controls
+    's', 'sound', 'n', 'note', 'freq', 'bank', 'gain', 'velocity', 'postgain', 'pan', 'speed', 'accelerate',
+    'begin', 'end', 'cut', 'loop', 'loopBegin', 'loopEnd', 'loopAt', 'fit', 'chop', 'slice', 'splice', 'striate',
+    'clip', 'legato', 'duration', 'dur', 'orbit', 'unit',
+    // Envelope and synthesis
+    'attack', 'decay', 'sustain', 'release', 'adsr', 'att', 'dec', 'sus', 'rel', 'hold',
+    'fm', 'fmh', 'fmi', 'fmattack', 'fmdecay', 'fmsustain', 'fmenv', 'detune', 'unison', 'spread',
+    'vib', 'vibmod', 'penv', 'pattack', 'pdecay', 'prelease', 'noise', 'octave',
+    // Filters and effects
+    'lpf', 'cutoff', 'ctf', 'lp', 'hpf', 'hcutoff', 'hp', 'bpf', 'bandf', 'bp', 'lpq', 'resonance', 'hpq', 'bpq',
+    'lpenv', 'lpattack', 'lpdecay', 'lpsustain', 'lprelease', 'hpenv', 'hpattack', 'hpdecay', 'bpenv',
+    'ftype', 'vowel', 'crush', 'coarse', 'shape', 'distort', 'squiz', 'djf', 'compressor',
+    'room', 'roomsize', 'size', 'rsize', 'roomfade', 'roomlp', 'roomdim', 'dry',
+    'delay', 'delaytime', 'delayfeedback', 'dt', 'dfb', 'phaser', 'phaserdepth', 'phaserrate',
+    'tremolo', 'tremolodepth', 'leslie', 'color',
+    // Harmony
+    'scale', 'scaleTranspose', 'transpose', 'trans', 'voicing', 'voicings', 'dict', 'anchor', 'mode',
+    'rootNotes', 'arp', 'arpWith',
+    // Time and structure
+    'fast', 'slow', 'hurry', 'early', 'late', 'nudge', 'rev', 'palindrome', 'iter', 'iterBack',
+    'chunk', 'chunkBack', 'linger', 'ply', 'segment', 'seg', 'struct', 'mask', 'euclid', 'euclidRot',
+    'euclidLegato', 'euclidLegatoRot', 'swing', 'swingBy', 'inside', 'outside', 'brak', 'press', 'pressBy',
+    'zoom', 'compress', 'fastGap', 'slowGap', 'ribbon', 'rib', 'invert', 'inv',
+    // Layering and conditional transforms
+    'jux', 'juxBy', 'off', 'superimpose', 'layer', 'stut', 'stutWith', 'echo', 'echoWith',
+    'every', 'firstOf', 'lastOf', 'when', 'whenmod', 'sometimes', 'sometimesBy', 'often', 'rarely',
+    'almostNever', 'almostAlways', 'always', 'never', 'someCycles', 'someCyclesBy',
+    'degrade', 'degradeBy', 'undegrade', 'undegradeBy',
+    // Values
+    'add', 'sub', 'mul', 'div', 'mod', 'set', 'range', 'rangex', 'range2', 'round', 'floor', 'ceil',
+    'toBipolar', 'fromBipolar', 'pick', 'inhabit', 'squeeze',
+    // Visuals
+    'pianoroll', 'punchcard', 'scope', 'spiral'
+];
+
+// Tempo calls - the band owns the tempo, so agents can't override it
+const SANDBOX_TEMPO = ['setcps', 'setcpm', 'setCps', 'setCpm', 'setbpm', 'cps', 'cpm', 'bpm'];
+
+// Names that can never be declared, labeled or used as parameters
+const SANDBOX_KEYWORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+    'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+    'return', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+    'await', 'async', 'eval', 'arguments', 'true', 'false', 'null', 'undefined'
+]);
+
+// Characters allowed inside mini-notation and other string arguments
+const SANDBOX_STRING_CHARS = /^[A-Za-z0-9 \t\n~\-.#:*/!@<>[\]{}(),|?_%^'+=&]*$/;
+
+class CodeSandbox {
+    constructor() {
+        this.functions = new Set(SANDBOX_FUNCTIONS);
+        this.constants = new Set(SANDBOX_CONSTANTS);
+        this.methods = new Set(SANDBOX_METHODS);
+        this.tempo = new Set(SANDBOX_TEMPO);
+    }
+
+    /**
+     * Check code against the allowlist
+     * Returns { valid: true } or { valid: false, error: 'line 1, col 5: ...' }
+     */
+    check(code) {
+        const { valid, error } = this.analyze(code);
+        return valid ? { valid } : { valid, error };
+    }
+
+    /**
+     * Check code and also return its tokens and top-level pattern statements
+     * statements: [{ label, first, last }] with token indexes of each expression
+     */
+    analyze(code) {
+        if (typeof code !== 'string') {
+            return { valid: false, error: 'No code provided' };
+        }
+
+        try {
+            this.tokens = this.tokenize(code);
+            this.pos = 0;
+            this.declared = new Set();
+            this.params = [];
+            this.statements = [];
+            this.parseProgram();
+            return { valid: true, tokens: this.tokens, statements: this.statements };
+        } catch (error) {
+            if (error instanceof SandboxError) {
+                return { valid: false, error: error.message };
+            }
+            throw error;
+        } finally {
+            this.tokens = null;
+            this.statements = null;
+        }
+    }
+
+    /**
+     * Split checked code into its variable declarations and the pattern it plays
+     * Like Strudel: labeled patterns play together ("_" labels are muted), otherwise the last expression
+     */
+    split(code) {
+        const analysis = this.analyze(code);
+        if (!analysis.valid) {
+            throw new Error(analysis.error);
+        }
+
+        const { tokens, statements } = analysis;
+        const labeled = statements.filter(statement => statement.label !== null);
+        const playing = labeled.length > 0
+            ? labeled.filter(({ label }) => !label.startsWith('_') && !label.endsWith('_'))
+            : statements.slice(-1);
+
+        // Cut every pattern statement out - what is left are the declarations
+        let declarations = '';
+        let cursor = 0;
+        const expressions = [];
+        statements.forEach(statement => {
+            const start = tokens[statement.label === null ? statement.first : statement.first - 2].start;
+            declarations += code.slice(cursor, start);
+            const end = tokens[statement.last].end;
+            if (playing.includes(statement)) {
+                expressions.push(code.slice(tokens[statement.first].start, end));
+            }
+
+            // Its semicolon goes with it
+            const after = tokens[statement.last + 1];
+            cursor = after?.type === 'punc' && after.value === ';' ? after.end : end;
+        });
+        declarations += code.slice(cursor);
+
+        const expression = expressions.length === 0 ? 'silence'
+            : expressions.length === 1 ? expressions[0]
+                : `stack(${expressions.join(', ')})`;
+        return { declarations: declarations.trim(), expression };
+    }
+
+    /**
+     * Checked code as one labeled pattern: "drums: s('bd')", or a block when it declares
+     * variables so they stay local to it ("{ const x = ...; drums: x.fast(2) }")
+     * orbit sends the pattern to its own Strudel orbit ("drums: (s('bd')).orbit(2)")
+     */
+    label(code, label, orbit = null) {
+        const split = this.split(code);
+        const { declarations } = split;
+        const expression = orbit === null ? split.expression : `(${split.expression}).orbit(${orbit})`;
+        return declarations ? `{\n${declarations}\n${label}: ${expression}\n}` : `${label}: ${expression}`;
+    }
+
+    // ==================== TOKENIZER ====================
+
+    /**
+     * Split code into tokens, dropping whitespace and comments
+     */
+    tokenize(code) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        let lineStart = 0;
+
+        const fail = (message, at = i) => {
+            throw new SandboxError(message, line, at - lineStart + 1);
+        };
+        const push = (type, value, start) => {
+            tokens.push({ type, value, line, col: start - lineStart + 1, start, end: i });
+        };
+
+        while (i < code.length) {
+            const char = code[i];
+
+            if (char === '\n') {
+                i++;
+                line++;
+                lineStart = i;
+                continue;
+            }
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comments
+            if (code.startsWith('//', i)) {
+                while (i < code.length && code[i] !== '\n') i++;
+                continue;
+            }
+            if (code.startsWith('/*', i)) {
+                const end = code.indexOf('*/', i + 2);
+                if (end === -1) fail('Unterminated comment');
+                for (; i < end + 2; i++) {
+                    if (code[i] === '\n') {
+                        line++;
+                        lineStart = i + 1;
+                    }
+                }
+                continue;
+            }
+
+            const start = i;
+
+            // Numbers (1, 0.5, .25, 1e3)
+            const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(code.slice(i, i + 32));
+            if (number) {
+                i += number[0].length;
+                if (/[A-Za-z_$]/.test(code[i] || '')) fail(`Invalid number "${number[0]}${code[i]}"`, start);
+                push('num', number[0], start);
+                continue;
+            }
+
+            // Identifiers and keywords
+            const ident = /^[A-Za-z_$][\w$]*/.exec(code.slice(i, i + 64));
+            if (ident) {
+                i += ident[0].length;
+                push('ident', ident[0], start);
+                continue;
+            }
+
+            // Strings: mini-notation and plain arguments, no escapes or interpolation
+            if (char === '"' || char === "'" || char === '`') {
+                const startLine = line;
+                const startCol = start - lineStart + 1;
+                i++;
+                while (i < code.length && code[i] !== char) {
+                    if (code[i] === '\\') fail('Escape sequences are not allowed in strings');
+                    if (char === '`' && code.startsWith('${', i)) fail('Template interpolation is not allowed');
+                    if (code[i] === '\n') {
+                        if (char !== '`') fail('Unterminated string');
+                        line++;
+                        lineStart = i + 1;
+                    }
+                    i++;
+                }
+                if (i >= code.length) throw new SandboxError('Unterminated string', startLine, startCol);
+
+                const value = code.slice(start + 1, i);
+                if (!SANDBOX_STRING_CHARS.test(value)) {
+                    const bad = [...value].find(c => !SANDBOX_STRING_CHARS.test(c));
+                    throw new SandboxError(`Character "${bad}" is not allowed in a pattern string`, startLine, startCol);
+                }
+                i++;
+                tokens.push({ type: 'str', value, quote: char, line: startLine, col: startCol, start, end: i });
+                continue;
+            }
+
+            // Punctuation
+            if (code.startsWith('=>', i)) {
+                i += 2;
+                push('punc', '=>', start);
+                continue;
+            }
+            if ('()[]{}.,:;=+-*/%'.includes(char)) {
+                i++;
+                push('punc', char, start);
+                continue;
+            }
+
+            fail(`Unexpected character "${char}"`);
+        }
+
+        tokens.push({ type: 'eof', value: '', line, col: i - lineStart + 1, start: i, end: i });
+        return tokens;
+    }
+
+    // ==================== PARSER ====================
+
+    /**
+     * Current token (offset looks ahead)
+     */
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    /**
+     * Consume the current token
+     */
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    /**
+     * Is the current token this punctuation?
+     */
+    isPunc(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'punc' && token.value === value;
+    }
+
+    /**
+     * Consume expected punctuation
+     */
+    expect(value) {
+        if (!this.isPunc(value)) {
+            this.fail(`Expected "${value}"`);
+        }
+        return this.next();
+    }
+
+    /**
+     * Throw an error at a token
+     */
+    fail(message, token = this.peek()) {
+        const found = token.type === 'eof' ? 'end of code' : `"${token.value}"`;
+        throw new SandboxError(`${message}, found ${found}`, token.line, token.col);
+    }
+
+    /**
+     * Statements until the end of the code
+     */
+    parseProgram() {
+        while (this.peek().type !== 'eof') {
+            if (this.isPunc(';')) {
+                this.next();
+                continue;
+            }
+            this.parseStatement();
+        }
+    }
+
+    /**
+     * Variable declaration, labeled pattern ("$: s('bd')") or expression
+     */
+    parseStatement() {
+        const token = this.peek();
+
+        if (token.type === 'ident' && ['const', 'let', 'var'].includes(token.value)) {
+            this.next();
+            do {
+                const name = this.next();
+                if (name.type !== 'ident') {
+                    this.fail('Expected a variable name', name);
+                }
+                this.checkBinding(name);
+                this.expect('=');
+                this.parseExpression();
+                this.declared.add(name.value);
+            } while (this.isPunc(',') && this.next());
+            return;
+        }
+
+        let label = null;
+        if (token.type === 'ident' && this.isPunc(':', 1) && !SANDBOX_KEYWORDS.has(token.value)) {
+            label = this.next().value;
+            this.next();
+        }
+
+        const first = this.pos;
+        this.parseExpression();
+        this.statements.push({ label, first, last: this.pos - 1 });
+    }
+
+    /**
+     * Arithmetic on patterns and numbers: a + b * c
+     */
+    parseExpression() {
+        if (this.isArrowStart()) {
+            return this.parseArrow();
+        }
+
+        this.parseUnary();
+        while (['+', '-', '*', '/', '%'].some(op => this.isPunc(op))) {
+            this.next();
+            this.parseUnary();
+        }
+    }
+
+    /**
+     * -x, +x
+     */
+    parseUnary() {
+        if (this.isPunc('-') || this.isPunc('+')) {
+            this.next();
+        }
+        this.parsePostfix();
+    }
+
+    /**
+     * Primary value followed by allowlisted method calls: s("bd").fast(2)
+     */
+    parsePostfix() {
+        this.parsePrimary();
+
+        while (true) {
+            if (this.isPunc('.')) {
+                this.next();
+                const name = this.next();
+                if (name.type !== 'ident') {
+                    this.fail('Expected a method name', name);
+                }
+                if (this.tempo.has(name.value)) {
+                    throw new SandboxError(`".${name.value}" is not allowed - the band sets the tempo`, name.line, name.col);
+                }
+                if (!this.methods.has(name.value)) {
+                    throw new SandboxError(`".${name.value}" is not an allowed Strudel method`, name.line, name.col);
+                }
+                if (!this.isPunc('(')) {
+                    this.fail(`Method ".${name.value}" must be called`);
+                }
+                this.parseArguments();
+            } else if (this.isPunc('[')) {
+                this.fail('Computed member access is not allowed');
+            } else if (this.isPunc('(')) {
+                this.fail('Only allowlisted functions can be called');
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Literals, identifiers, calls, arrays and parentheses
+     */
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'num' || token.type === 'str') {
+            this.next();
+            return;
+        }
+
+        if (token.type === 'ident') {
+            this.next();
+            const name = token.value;
+
+            if (this.isPunc('(')) {
+                if (this.tempo.has(name)) {
+                    throw new SandboxError(`"${name}" is not allowed - the band sets the tempo`, token.line, token.col);
+                }
+                if (!this.functions.has(name)) {
+                    throw new SandboxError(`"${name}" is not an allowed Strudel function`, token.line, token.col);
+                }
+                this.parseArguments();
+                return;
+            }
+
+            if (!this.isKnownName(name)) {
+                throw new SandboxError(`"${name}" is not allowed here`, token.line, token.col);
+            }
+            return;
+        }
+
+        if (this.isPunc('[')) {
+            this.next();
+            this.parseList(']');
+            return;
+        }
+
+        if (this.isPunc('(')) {
+            this.next();
+            this.parseExpression();
+            this.expect(')');
+            return;
+        }
+
+        if (this.isPunc('{')) {
+            this.fail('Object literals and blocks are not allowed');
+        }
+
+        this.fail('Unexpected token');
+    }
+
+    /**
+     * (arg, arg, ...)
+     */
+    parseArguments() {
+        this.expect('(');
+        this.parseList(')');
+    }
+
+    /**
+     * Comma separated expressions up to the closing bracket
+     */
+    parseList(close) {
+        while (!this.isPunc(close)) {
+            this.parseExpression();
+            if (!this.isPunc(',')) break;
+            this.next();
+        }
+        this.expect(close);
+    }
+
+    /**
+     * Does an arrow function start here? (x => ..., (x, y) => ..., () => ...)
+     */
+    isArrowStart() {
+        const token = this.peek();
+        if (token.type === 'ident') {
+            return this.isPunc('=>', 1);
+        }
+        if (!this.isPunc('(')) return false;
+
+        let offset = 1;
+        while (this.peek(offset).type === 'ident' || this.isPunc(',', offset)) {
+            offset++;
+        }
+        return this.isPunc(')', offset) && this.isPunc('=>', offset + 1);
+    }
+
+    /**
+     * Arrow function with an expression body, used by every(), sometimes(), off() ...
+     */
+    parseArrow() {
+        const names = [];
+
+        if (this.peek().type === 'ident') {
+            names.push(this.next());
+        } else {
+            this.expect('(');
+            while (!this.isPunc(')')) {
+                const name = this.next();
+                if (name.type !== 'ident') this.fail('Expected a parameter name', name);
+                names.push(name);
+                if (this.isPunc(',')) this.next();
+            }
+            this.expect(')');
+        }
+        this.expect('=>');
+
+        names.forEach(name => this.checkBinding(name));
+
+        if (this.isPunc('{')) {
+            this.fail('Arrow functions must return an expression, not a block');
+        }
+
+        this.params.push(new Set(names.map(name => name.value)));
+        this.parseExpression();
+        this.params.pop();
+    }
+
+    /**
+     * Variables and parameters can't shadow keywords or allowlisted names
+     */
+    checkBinding(name) {
+        if (SANDBOX_KEYWORDS.has(name.value) || this.functions.has(name.value) || this.constants.has(name.value)) {
+            throw new SandboxError(`"${name.value}" can't be used as a variable name`, name.line, name.col);
+        }
+    }
+
+    /**
+     * Allowlisted constant, declared variable or arrow parameter
+     */
+    isKnownName(name) {
+        return this.constants.has(name) ||
+            this.declared.has(name) ||
+            this.params.some(scope => scope.has(name));
+    }
+}
+
+/**
+ * Rejected code, with the position of the offending token
+ */
+class SandboxError extends Error {
+    constructor(message, line, col) {
+        super(`line ${line}, col ${col}: ${message}`);
+        this.name = 'SandboxError';
+        this.line = line;
+        this.col = col;
+    }
+}
+
+// Export
+window.CodeSandbox = CodeSandbox;
@@ -3,19 +3,57 @@
  */
 
 const CONFIG = {
-    // API Keys (should be replaced or fetched securely)
-    GEMINI_API_KEY: '', // Set via UI or environment
+    // Local server (API keys live in its .env, never in the browser)
+    SERVER: {
+        statusUrl: '/api/status'
+    },
 
-    // Gemini Live API
+    // Gemini Live API (relayed by the local server)
     GEMINI_MODEL: 'gemini-2.5-flash-preview-native-audio-dialog',
-    GEMINI_WS_URL: 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent',
+    GEMINI_WS_PATH: '/api/gemini-live',
+
+    // LLM Providers (proxied by the local server, upstream URLs set in .env)
+    LLM: {
+        providers: {
+            anthropic: {
+                label: 'Anthropic',
+                baseUrl: '/api/llm/anthropic',
+                defaultModel: 'claude-sonnet-4-20250514',
+                maxTemperature: 1        // The API rejects anything above
+            },
+            openai: {
+                label: 'OpenAI-compatible',
+                baseUrl: '/api/llm/openai',
+                defaultModel: 'gpt-4o-mini',
+                maxTemperature: 2
+            },
+            local: {
+                label: 'Local (Ollama)',
+                baseUrl: '/api/llm/local',
+                defaultModel: 'llama3.1',
+                maxTemperature: 2
+            }
+        },
+        stream: true,           // Stream tokens into the agent code panels
+        // Defaults per role - an empty model means the provider's default
+        defaults: {
+            agent: { provider: 'anthropic', model: '', temperature: 0.9, maxTokens: 500 },
+            director: { provider: 'anthropic', model: '', temperature: 0.7, maxTokens: 800 }
+        }
+    },
 
     // Audio Settings
     AUDIO: {
         sampleRate: 16000,      // Gemini expects 16kHz
         channels: 1,            // Mono
-        bufferSize: 4096,       // Audio buffer size
         captureInterval: 100,   // ms between captures for streaming
+        captureBufferSeconds: 2, // Capture ring buffer, covers flushes that run late
+        resampler: {
+            zeroCrossings: 16,  // Sinc lobes on each side of the kernel
+            rolloff: 0.9,       // Cutoff as a fraction of the lower Nyquist
+            phases: 256,        // Precomputed kernel offsets
+            kaiserBeta: 8.6     // Window shape, ~80 dB stopband
+        }
     },
 
     // Agent Profiles
@@ -26,6 +64,7 @@ const CONFIG = {
             role: 'Rhythm and groove master',
             samples: 'bd, sn, hh, cp, rim, tom, crash, ride, perc',
             color: '#ff6b6b',
+            placeholder: 'breakbeat with fills...',
             personality: 'Energetic, keeps everyone in check, loves to fill',
             systemPrompt: `You are DRUMS, the rhythm master of the band.
 You control the groove and energy. Your samples: bd (kick), sn (snare), hh (hihat), cp (clap), rim, tom, crash, ride.
@@ -38,6 +77,7 @@ You can talk to other band members to coordinate.`
             role: 'Harmonic foundation and groove',
             samples: 'bass, sawtooth, square, triangle, sine',
             color: '#4ecdc4',
+            placeholder: 'deep sub groove...',
             personality: 'Deep, laid back, always in the pocket',
             systemPrompt: `You are BASS, the foundation of the band.
 You provide the low-end and harmonic structure. Use note() with bass sounds or synths.
@@ -50,6 +90,7 @@ You feel the music deeply and communicate when you sense changes needed.`
             role: 'Melodies and hooks',
             samples: 'piano, sawtooth, square, sine, supersaw',
             color: '#ffe66d',
+            placeholder: 'arpeggio with delay...',
             personality: 'Expressive, melodic, loves to shine',
             systemPrompt: `You are LEAD, the melodic voice of the band.
 You create hooks, arpeggios, and memorable melodies. Use note() with melodic synths.
@@ -62,6 +103,7 @@ You're expressive and sometimes take the spotlight.`
             role: 'Atmosphere and texture',
             samples: 'sawtooth, sine, triangle, supersaw',
             color: '#a78bfa',
+            placeholder: 'atmospheric textures...',
             personality: 'Dreamy, spacious, supportive',
             systemPrompt: `You are PADS, the atmosphere creator.
 You provide warmth, space, and texture. Use note() with slow attacks and long releases.
@@ -74,6 +116,7 @@ You're calm and contemplative, sensing the overall mood.`
             role: 'Sonic surprises and texture',
             samples: 'noise, gabba, metal, glitch, various',
             color: '#f472b6',
+            placeholder: 'glitchy textures...',
             personality: 'Experimental, unpredictable, adds spice',
             systemPrompt: `You are FX, the wild card of the band.
 You add unexpected elements, glitches, risers, and sonic surprises.
@@ -82,25 +125,45 @@ You're playful and sometimes chaotic, but know when to hold back.`
         }
     },
 
-    // Director prompts
+    // Band roster (agents can be added, removed and re-roled in Settings)
+    ROSTER: {
+        types: ['drums', 'bass', 'lead', 'pads', 'fx'],  // Base profiles: demo patterns and mood parts
+        maxAgents: 10,
+        reservedIds: ['director', 'system']  // Chat and LLM roles - agents get a suffix instead
+    },
+
+    // Director prompts - {count}, {musicians}, {fields} and {sectionFields} come from the roster
     DIRECTOR: {
-        systemPrompt: `You are the BAND DIRECTOR coordinating 5 AI musicians:
-- DRUMS: Rhythm master (bd, sn, hh, cp, rim, tom)
-- BASS: Low-end foundation (bass synths)
-- LEAD: Melodies and hooks (melodic synths)
-- PADS: Atmosphere (pads, textures)
-- FX: Wild card (noise, glitches, surprises)
+        systemPrompt: `You are the BAND DIRECTOR coordinating {count} AI musicians:
+{musicians}
+
+You also own the band's shared musical context (key, scale, chord progression,
+tempo, meter, energy). Change it when the direction calls for it, for example
+a new key, a darker mood or a faster groove. Every musician must conform to it.
 
 When given a direction, provide specific instructions for EACH musician.
 Respond in JSON format:
 {
-    "drums": "specific instruction",
-    "bass": "specific instruction",
-    "lead": "specific instruction",
-    "pads": "specific instruction",
-    "fx": "specific instruction",
+{fields}
+    "context": { "key": "D", "scale": "dorian", "chords": ["Dm7", "G7"], "tempo": 110, "meter": "4/4", "energy": 6 },
+    "style": { "musician id": 0.2 },
+    "bandChat": "what you say to the band (optional)"
+}
+Only include "context" (and only the fields that change) when the musical context should change.
+Only include "style" when a musician should become more conservative (towards 0) or
+more experimental (towards 1).
+
+When the direction unfolds over time ("build for 8 bars then drop"), respond with
+ordered sections instead of per-musician fields at the top level:
+{
+    "sections": [
+        { "name": "build", "bars": 8, {sectionFields} },
+        { "name": "drop", "bars": 16, {sectionFields} }
+    ],
+    "context": { "energy": 8 },
     "bandChat": "what you say to the band (optional)"
-}`
+}
+The last section keeps playing after its bars run out.`
     },
 
     // Mood Presets
@@ -149,17 +212,194 @@ Respond in JSON format:
         }
     },
 
+    // Shared musical context
+    MUSIC: {
+        defaultContext: {
+            key: 'C',
+            scale: 'minor',
+            chords: ['Cm', 'Ab', 'Eb', 'Bb'],
+            tempo: 120,
+            meter: '4/4',
+            energy: 5
+        },
+        keys: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+        scales: [
+            'major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'locrian',
+            'harmonic minor', 'melodic minor', 'minor pentatonic', 'major pentatonic', 'blues'
+        ],
+        meters: ['4/4', '3/4', '6/8', '5/4', '7/8']
+    },
+
+    // Pattern generation
+    GENERATION: {
+        maxAttempts: 3          // Generate + repair attempts before keeping the previous pattern
+    },
+
+    // Per-agent style dial: 0 = conservative, 1 = experimental
+    STYLE: {
+        default: 0.5,
+        byType: { drums: 0.3, bass: 0.35, lead: 0.55, pads: 0.5, fx: 0.8 },
+        temperatureSpread: 0.8,     // Role temperature +/- 0.4 at the ends of the dial
+        maxDrift: { min: 0.35, max: 1 },  // Allowed token change vs the previous pattern
+        tiers: [
+            {
+                max: 0.34,
+                label: 'conservative',
+                prompt: 'Play it safe: stay close to your previous pattern, keep its groove, sounds and structure and change only small details. Favour tight, proven patterns.'
+            },
+            {
+                max: 0.67,
+                label: 'balanced',
+                prompt: 'Balance continuity and freshness: keep the core idea of your previous pattern and vary rhythm or sound where it helps the music.'
+            },
+            {
+                max: 1,
+                label: 'experimental',
+                prompt: 'Be adventurous: unusual rhythms, polymeters, unexpected sounds and bold effects are welcome, as long as it still fits the band.'
+            }
+        ],
+        // Explicit "/style drums 0.8" or "/style all safe" - plain directions never change the dial
+        command: /^\/style\s+(\S+)\s+(\S+)$/i,
+        words: {
+            safe: 0.1, conservative: 0.1, steady: 0.1, tight: 0.1,
+            balanced: 0.5, normal: 0.5,
+            wild: 0.9, experimental: 0.9, adventurous: 0.9, weird: 0.9
+        }
+    },
+
+    // Thumbs up/down on patterns, remembered across sessions
+    FEEDBACK: {
+        maxStored: 20,          // Rated patterns kept per agent and rating
+        likedExamples: 3,       // Few-shot examples in the generation prompt
+        dislikedExamples: 2     // "Avoid" examples in the generation prompt
+    },
+
+    // Agent-to-agent requests ("// @bass: leave space on beat 3")
+    BUS: {
+        requireApproval: true,  // User approves each request before the target acts
+        maxDepth: 2,            // Requests triggered by requests stop here (no endless ping-pong)
+        maxQueue: 3             // Pending requests per target agent
+    },
+
     // Strudel defaults
     STRUDEL: {
         defaultTempo: 120,
-        defaultCode: '// waiting for pattern...'
+        beatsPerCycle: 2,        // Default cycle length: cps = bpm / 60 / beatsPerCycle
+        defaultCode: '// waiting for pattern...',
+        mockTickMs: 100,         // Mock mode: how often the event timeline catches up
+        mockTimelineLimit: 10000 // Mock mode: events kept
+    },
+
+    // Band tempo: header control, tap tempo, nudging and ramps
+    TEMPO: {
+        min: 40,
+        max: 300,
+        nudge: 1,                // [ and ] keys, Shift for nudgeLarge
+        nudgeLarge: 5,
+        tapResetMs: 2000,        // A pause this long starts a new tap sequence
+        maxTaps: 8,              // Taps averaged for the tempo
+        maxRampBars: 64,
+        beatsPerCycleOptions: [1, 2, 3, 4, 6, 8],
+        // Director phrases like "ramp to 140 over 8 bars"
+        rampCommand: /\b(?:to\s+(\d{2,3})\s*(?:bpm)?|(\d{2,3})\s*bpm)\s+over\s+(\d{1,2})\s+bars?\b/i
+    },
+
+    // Tempo and downbeat detection on the captured audio
+    BEAT: {
+        frameRate: 100,          // Onset frames per second
+        windowSeconds: 8,        // Onset history the tempo is estimated from
+        minSeconds: 3,           // No estimate before this much audio
+        updateMs: 500,
+        minBpm: 70,
+        maxBpm: 180,
+        preferredBpm: 120,       // Breaks ties between half and double tempo
+        lowHz: 150,              // Onsets below this mark downbeats (kicks)
+        compression: 100,        // log(1 + c * magnitude) for the spectral flux
+        followConfidence: 0.3,   // Follow mode ignores estimates below this
+        followReadings: 3,       // ...and waits for this many agreeing estimates
+        followTolerance: 1.5     // BPM - closer estimates agree, and don't move the tempo
+    },
+
+    // Key and chord detection on the captured audio
+    KEY: {
+        minHz: 60,               // Pitch range folded into the chroma
+        maxHz: 2000,
+        keySeconds: 12,          // Span of the average the key is read from
+        chordSeconds: 1,         // ...and the chord
+        updateMs: 500,
+        silence: 1e-6,           // Mean power below which frames are ignored
+        promptConfidence: 0.5    // Agents are only told about keys detected at least this surely
+    },
+
+    // Per-agent meters in the track strips
+    METERS: {
+        fftSize: 1024,           // Analyser window per agent orbit (~21 ms at 48 kHz)
+        floorDb: -60,            // Meters run from here (0) to 0 dBFS (1)
+        historyLength: 90,       // Frames of level history drawn by the scope (~1.5 s)
+        peakHoldMs: 1200,
+        peakFallPerSecond: 0.6,
+        silenceLevel: 0.05       // Below this an agent counts as silent
+    },
+
+    // Sample banks and the sounds agents may use
+    SAMPLES: {
+        // Registered with Strudel on startup - names come from each bank's strudel.json
+        banks: [
+            { name: 'Dirt-Samples', url: 'github:tidalcycles/dirt-samples', fallback: true }
+        ],
+        // Synths and sounds built into Strudel, always available
+        builtin: ['sine', 'square', 'triangle', 'sawtooth', 'supersaw', 'pulse', 'white', 'pink', 'brown', 'crackle', 'piano'],
+        // Stand-ins for missing names (used when the stand-in is loaded)
+        substitutes: {
+            kick: 'bd', snare: 'sn', hihat: 'hh', hat: 'hh', clap: 'cp', rim: 'rs', tom: 'lt', crash: 'cr',
+            ride: 'cr', various: 'perc', saw: 'sawtooth', tri: 'triangle', noise: 'white'
+        },
+        audioExtensions: ['wav', 'mp3', 'ogg', 'flac', 'aif', 'aiff', 'm4a'],
+        promptLimit: 150         // Sound names listed in agent prompts
+    },
+
+    // Offline render to WAV
+    RENDER: {
+        defaultCycles: 8,
+        maxCycles: 256,
+        sampleRates: [44100, 48000],
+        tailSeconds: 2           // Room for reverb and release after the last cycle
+    },
+
+    // Web MIDI output
+    MIDI: {
+        lookaheadMs: 100,        // Events are sent this far ahead with timestamps
+        intervalMs: 25,          // Scheduler wake-up interval
+        clockPulsesPerBeat: 24,
+        tempoKnob: { min: 60, max: 187 }    // Tempo range of a learned knob (1 BPM per step)
+    },
+
+    // Launch quantization: when pattern changes take effect while playing
+    QUANTIZE: {
+        default: 'bar',
+        options: [
+            { value: 'immediate', label: 'Immediately' },
+            { value: 'beat', label: 'Next beat' },
+            { value: 'bar', label: 'Next bar' },
+            { value: '2', label: 'Next 2 cycles' },
+            { value: '4', label: 'Next 4 cycles' }
+        ],
+        lookaheadMs: 500         // Evaluate ahead of Strudel's scheduler, which queries ~0.25 s ahead
+    },
+
+    // Timed arrangements ("build for 8 bars then drop")
+    ARRANGEMENT: {
+        defaultBars: 8,
+        maxBars: 64,
+        lookaheadMs: 500         // Switch ahead of Strudel's scheduler - the engine holds the old section until the bar line
     },
 
     // UI Settings
     UI: {
         chatMaxMessages: 50,
         bubbleDuration: 4000,    // How long agent bubbles stay visible
-        codeAnimationDuration: 500
+        codeAnimationDuration: 500,
+        maxAgentColumns: 6       // More agents wrap onto a second row of strips
     }
 };
 
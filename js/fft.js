@@ -0,0 +1,44 @@
+/**
+ * STRUDEL BAND - FFT
+ * Shared by the beat tracker and the key detector
+ */
+
+class FFT {
+    /**
+     * In-place radix-2 FFT of re + i*im (the length must be a power of two)
+     */
+    static transform(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const half = size >> 1;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + half;
+                    const tre = re[b] * cos - im[b] * sin;
+                    const tim = re[b] * sin + im[b] * cos;
+                    re[b] = re[a] - tre;
+                    im[b] = im[a] - tim;
+                    re[a] += tre;
+                    im[a] += tim;
+                }
+            }
+        }
+    }
+}
+
+// Export
+window.FFT = FFT;
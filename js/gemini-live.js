@@ -1,11 +1,11 @@
 /**
  * STRUDEL BAND - Gemini Live API Integration
  * Handles real-time audio streaming to Gemini for agent listening
+ * Connects through the local server's WebSocket relay, which holds the API key
  */
 
 class GeminiLive {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
+    constructor() {
         this.ws = null;
         this.isConnected = false;
         this.sessionConfig = null;
@@ -24,7 +24,7 @@ class GeminiLive {
     }
 
     /**
-     * Connect to Gemini Live API via WebSocket
+     * Connect to Gemini Live API via the server relay
      */
     async connect(agentConfig = null) {
         if (this.isConnected) {
@@ -32,14 +32,10 @@ class GeminiLive {
             return true;
         }
 
-        if (!this.apiKey) {
-            console.error('[GeminiLive] No API key provided');
-            return false;
-        }
-
         return new Promise((resolve, reject) => {
             try {
-                const wsUrl = `${CONFIG.GEMINI_WS_URL}?key=${this.apiKey}`;
+                const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                const wsUrl = `${protocol}//${window.location.host}${CONFIG.GEMINI_WS_PATH}`;
                 this.ws = new WebSocket(wsUrl);
 
                 this.ws.onopen = () => {
@@ -233,8 +229,7 @@ Keep responses short and musical. Respond like a musician would.`;
  * Manager for multiple Gemini sessions (one per agent)
  */
 class GeminiAgentManager {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
+    constructor() {
         this.sessions = new Map(); // agentId -> GeminiLive instance
         this.sharedSession = null;  // Single session that all agents share
         this.useSharedSession = true; // Use one session for all (saves resources)
@@ -244,13 +239,8 @@ class GeminiAgentManager {
      * Initialize the manager
      */
     async init() {
-        if (!this.apiKey) {
-            console.warn('[GeminiAgentManager] No API key - listening mode disabled');
-            return false;
-        }
-
         if (this.useSharedSession) {
-            this.sharedSession = new GeminiLive(this.apiKey);
+            this.sharedSession = new GeminiLive();
             return true;
         }
 
@@ -260,13 +250,7 @@ class GeminiAgentManager {
     /**
      * Start listening session for agent
      */
-    async startListening(agentId, onResponse) {
-        if (!this.apiKey) {
-            console.warn('[GeminiAgentManager] No API key');
-            return false;
-        }
-
-        const agentConfig = CONFIG.AGENTS[agentId];
+    async startListening(agentId, agentConfig, onResponse) {
         if (!agentConfig) {
             console.error('[GeminiAgentManager] Unknown agent:', agentId);
             return false;
@@ -277,7 +261,7 @@ class GeminiAgentManager {
         if (this.useSharedSession) {
             session = this.sharedSession;
         } else {
-            session = new GeminiLive(this.apiKey);
+            session = new GeminiLive();
             this.sessions.set(agentId, session);
         }
 
@@ -0,0 +1,182 @@
+/**
+ * STRUDEL BAND - Key Detector
+ * Chroma-based key and chord estimation on a mono audio stream:
+ * spectra folded into 12 pitch classes, a slow average matched against key profiles
+ * and a fast one against chord templates
+ */
+
+// Krumhansl-Kessler key profiles, tonic first
+const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Chord qualities as intervals from the root, with the suffix used in chord names
+// Rarer qualities carry a penalty, so a smeared triad isn't read as a seventh or sus chord
+const CHORD_TEMPLATES = [
+    { suffix: '', intervals: [0, 4, 7], penalty: 0 },
+    { suffix: 'm', intervals: [0, 3, 7], penalty: 0 },
+    { suffix: '7', intervals: [0, 4, 7, 10], penalty: 0.05 },
+    { suffix: 'maj7', intervals: [0, 4, 7, 11], penalty: 0.06 },
+    { suffix: 'm7', intervals: [0, 3, 7, 10], penalty: 0.05 },
+    { suffix: 'dim', intervals: [0, 3, 6], penalty: 0.04 },
+    { suffix: 'sus4', intervals: [0, 5, 7], penalty: 0.06 }
+];
+
+class KeyDetector {
+    constructor(sampleRate) {
+        const settings = CONFIG.KEY;
+
+        this.sampleRate = sampleRate;
+
+        // Long frames (~170 ms) resolve semitones down to the bass register
+        this.frameSize = 2 ** Math.round(Math.log2(sampleRate / 6));
+        this.hop = this.frameSize / 2;
+        this.window = Float32Array.from({ length: this.frameSize }, (_, i) =>
+            0.5 - 0.5 * Math.cos(2 * Math.PI * i / this.frameSize));
+
+        // FFT bin -> pitch class, for bins inside the analysed range (-1 outside)
+        this.pitchClasses = Int8Array.from({ length: this.frameSize / 2 }, (_, k) => {
+            const hz = k * sampleRate / this.frameSize;
+            if (hz < settings.minHz || hz > settings.maxHz) return -1;
+            return ((Math.round(12 * Math.log2(hz / 440)) + 69) % 12 + 12) % 12;
+        });
+
+        // Averages decay per frame so they span about keySeconds / chordSeconds
+        const framesPerSecond = sampleRate / this.hop;
+        this.keyDecay = Math.exp(-1 / (settings.keySeconds * framesPerSecond));
+        this.chordDecay = Math.exp(-1 / (settings.chordSeconds * framesPerSecond));
+
+        this.reset();
+    }
+
+    reset() {
+        this.pending = new Float32Array(0);
+        this.keyChroma = new Float32Array(12);
+        this.chordChroma = new Float32Array(12);
+        this.lastEstimate = -Infinity;
+        this.result = null;
+    }
+
+    /**
+     * Feed the next samples; time is when the last one played
+     * Returns a new estimate when one is due, else null
+     */
+    process(samples, time) {
+        const buffer = new Float32Array(this.pending.length + samples.length);
+        buffer.set(this.pending);
+        buffer.set(samples, this.pending.length);
+
+        let start = 0;
+        for (; start + this.frameSize <= buffer.length; start += this.hop) {
+            this.addFrame(buffer.subarray(start, start + this.frameSize));
+        }
+        this.pending = buffer.slice(start);
+
+        if (time - this.lastEstimate < CONFIG.KEY.updateMs / 1000) return null;
+        this.lastEstimate = time;
+        this.result = this.estimate();
+        return this.result;
+    }
+
+    /**
+     * Fold one frame's spectrum into pitch classes and add it to both averages
+     * Quiet frames are skipped, so pauses don't wash the averages out
+     */
+    addFrame(frame) {
+        const size = this.frameSize;
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        let power = 0;
+        for (let i = 0; i < size; i++) {
+            re[i] = frame[i] * this.window[i];
+            power += frame[i] * frame[i];
+        }
+        if (power / size < CONFIG.KEY.silence) return;
+
+        FFT.transform(re, im);
+
+        const chroma = new Float32Array(12);
+        for (let k = 1; k < size / 2; k++) {
+            const pitchClass = this.pitchClasses[k];
+            if (pitchClass >= 0) chroma[pitchClass] += Math.hypot(re[k], im[k]);
+        }
+
+        const peak = Math.max(...chroma);
+        if (peak === 0) return;
+
+        for (let i = 0; i < 12; i++) {
+            const value = chroma[i] / peak;
+            this.keyChroma[i] = this.keyChroma[i] * this.keyDecay + value * (1 - this.keyDecay);
+            this.chordChroma[i] = this.chordChroma[i] * this.chordDecay + value * (1 - this.chordDecay);
+        }
+    }
+
+    /**
+     * { key, scale, keyConfidence, chord, chordConfidence, chroma } - key and chord null until something is heard
+     */
+    estimate() {
+        const chroma = Array.from(this.chordChroma, value => Math.round(value * 100) / 100);
+        const result = { key: null, scale: null, keyConfidence: 0, chord: null, chordConfidence: 0, chroma };
+        if (Math.max(...this.keyChroma) === 0) return result;
+
+        const names = CONFIG.MUSIC.keys;
+
+        // Key: best correlation with a rotated major or minor profile
+        let best = { r: -Infinity };
+        Object.entries(KEY_PROFILES).forEach(([scale, profile]) => {
+            for (let tonic = 0; tonic < 12; tonic++) {
+                const rotated = Array.from({ length: 12 }, (_, i) => profile[(i - tonic + 12) % 12]);
+                const r = KeyDetector.correlate(this.keyChroma, rotated);
+                if (r > best.r) best = { r, tonic, scale };
+            }
+        });
+        result.key = names[best.tonic];
+        result.scale = best.scale;
+        result.keyConfidence = Math.round(Math.max(0, best.r) * 100) / 100;
+
+        // Chord: closest template by cosine similarity
+        let chord = { score: -Infinity };
+        CHORD_TEMPLATES.forEach(({ suffix, intervals, penalty }) => {
+            for (let root = 0; root < 12; root++) {
+                const template = new Array(12).fill(0);
+                intervals.forEach(interval => { template[(root + interval) % 12] = 1; });
+                const score = KeyDetector.cosine(this.chordChroma, template) - penalty;
+                if (score > chord.score) chord = { score, name: names[root] + suffix };
+            }
+        });
+        result.chord = chord.name;
+        result.chordConfidence = Math.round(Math.max(0, chord.score) * 100) / 100;
+
+        return result;
+    }
+
+    static correlate(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        let cross = 0;
+        let varA = 0;
+        let varB = 0;
+        for (let i = 0; i < a.length; i++) {
+            cross += (a[i] - meanA) * (b[i] - meanB);
+            varA += (a[i] - meanA) ** 2;
+            varB += (b[i] - meanB) ** 2;
+        }
+        return varA && varB ? cross / Math.sqrt(varA * varB) : 0;
+    }
+
+    static cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+// Export
+window.KeyDetector = KeyDetector;
@@ -0,0 +1,327 @@
+/**
+ * STRUDEL BAND - LLM Providers
+ * Pluggable model backends for agent generation and director parsing
+ * Requests go through the local server, which adds the API keys
+ */
+
+/**
+ * Base provider - subclasses build the request and read the response
+ */
+class LLMProvider {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.defaultModel = options.defaultModel || '';
+        this.maxTemperature = options.maxTemperature ?? 1;
+    }
+
+    /**
+     * Send a completion request and return the text
+     */
+    async complete(request) {
+        const { url, headers, body } = this.buildRequest(request);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.constructor.name} HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return this.parseResponse(data);
+    }
+
+    /**
+     * Stream a completion, calling onToken with each text delta
+     * Resolves with the full text once the stream ends
+     */
+    async stream(request, onToken) {
+        const { url, headers, body } = this.buildRequest({ ...request, stream: true });
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`${this.constructor.name} HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const handleLine = (line) => {
+            const delta = line.trim() ? this.parseStreamLine(line.trim()) : '';
+            if (delta) {
+                text += delta;
+                onToken(delta, text);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer);
+
+        return text;
+    }
+
+    /**
+     * Build provider-specific request
+     */
+    buildRequest(request) {
+        throw new Error('buildRequest not implemented');
+    }
+
+    /**
+     * Extract text from provider-specific response
+     */
+    parseResponse(data) {
+        throw new Error('parseResponse not implemented');
+    }
+
+    /**
+     * Extract a text delta from one line of a streamed response
+     */
+    parseStreamLine(line) {
+        throw new Error('parseStreamLine not implemented');
+    }
+
+    /**
+     * Parse a server-sent events "data:" line as JSON
+     */
+    parseSSEData(line) {
+        if (!line.startsWith('data:')) return null;
+
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return null;
+
+        try {
+            return JSON.parse(payload);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    buildRequest({ system, prompt, model, temperature, maxTokens, stream = false }) {
+        return {
+            url: `${this.baseUrl}/v1/messages`,
+            headers: {
+                'anthropic-version': '2023-06-01'
+            },
+            body: {
+                model: model || this.defaultModel,
+                max_tokens: maxTokens,
+                temperature,
+                stream,
+                system,
+                messages: [{ role: 'user', content: prompt }]
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data.content?.[0]?.text || '';
+    }
+
+    parseStreamLine(line) {
+        const event = this.parseSSEData(line);
+        return event?.type === 'content_block_delta' ? (event.delta?.text || '') : '';
+    }
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    buildRequest({ system, prompt, model, temperature, maxTokens, stream = false }) {
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: {},
+            body: {
+                model: model || this.defaultModel,
+                max_tokens: maxTokens,
+                temperature,
+                stream,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ]
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data.choices?.[0]?.message?.content || '';
+    }
+
+    parseStreamLine(line) {
+        const event = this.parseSSEData(line);
+        return event?.choices?.[0]?.delta?.content || '';
+    }
+}
+
+/**
+ * Local self-hosted model server (Ollama chat API)
+ */
+class LocalProvider extends LLMProvider {
+    buildRequest({ system, prompt, model, temperature, maxTokens, stream = false }) {
+        return {
+            url: `${this.baseUrl}/api/chat`,
+            headers: {},
+            body: {
+                model: model || this.defaultModel,
+                stream,
+                options: {
+                    temperature,
+                    num_predict: maxTokens
+                },
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ]
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data.message?.content || '';
+    }
+
+    // Ollama streams newline-delimited JSON objects
+    parseStreamLine(line) {
+        try {
+            return JSON.parse(line).message?.content || '';
+        } catch (e) {
+            return '';
+        }
+    }
+}
+
+/**
+ * LLM client - resolves the provider and settings for each role
+ * A role is either 'director' or an agent id
+ */
+class LLMClient {
+    static PROVIDERS = {
+        anthropic: AnthropicProvider,
+        openai: OpenAICompatibleProvider,
+        local: LocalProvider
+    };
+
+    constructor() {
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    loadSettings() {
+        const settings = { roles: {}, stream: CONFIG.LLM.stream };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem('llm_settings') || '{}');
+            Object.assign(settings.roles, stored.roles);
+            if (typeof stored.stream === 'boolean') {
+                settings.stream = stored.stream;
+            }
+        } catch (e) {
+            console.warn('[LLMClient] Invalid stored settings, using defaults:', e);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    saveSettings() {
+        localStorage.setItem('llm_settings', JSON.stringify(this.settings));
+    }
+
+    /**
+     * Get generation settings for a role, merged with defaults
+     */
+    getRoleSettings(role) {
+        const defaults = role === 'director' ? CONFIG.LLM.defaults.director : CONFIG.LLM.defaults.agent;
+        return { ...defaults, ...this.settings.roles[role] };
+    }
+
+    /**
+     * Update generation settings for a role
+     */
+    setRoleSettings(role, settings) {
+        this.settings.roles[role] = { ...this.settings.roles[role], ...settings };
+        this.saveSettings();
+    }
+
+    /**
+     * Enable or disable token streaming
+     */
+    setStreaming(enabled) {
+        this.settings.stream = Boolean(enabled);
+        this.saveSettings();
+    }
+
+    /**
+     * Create a provider instance by name
+     */
+    getProvider(name) {
+        const ProviderClass = LLMClient.PROVIDERS[name];
+        const config = CONFIG.LLM.providers[name];
+        if (!ProviderClass || !config) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+
+        return new ProviderClass(config);
+    }
+
+    /**
+     * Complete a prompt using the settings of the given role
+     * Streams tokens to onToken when given and streaming is enabled
+     * temperatureOffset shifts the role's temperature (e.g. from an agent's style dial),
+     * clamped to the range the provider's API accepts
+     */
+    async complete(role, { system, prompt, temperatureOffset = 0 }, onToken = null) {
+        const settings = this.getRoleSettings(role);
+        const provider = this.getProvider(settings.provider);
+
+        const request = {
+            system,
+            prompt,
+            model: settings.model,
+            temperature: Math.min(Math.max(settings.temperature + temperatureOffset, 0), provider.maxTemperature),
+            maxTokens: settings.maxTokens
+        };
+
+        if (onToken && this.settings.stream) {
+            return provider.stream(request, onToken);
+        }
+
+        return provider.complete(request);
+    }
+}
+
+// Export
+window.LLMProvider = LLMProvider;
+window.AnthropicProvider = AnthropicProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.LocalProvider = LocalProvider;
+window.LLMClient = LLMClient;
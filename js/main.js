@@ -9,13 +9,24 @@ class App {
         this.ui = new UI();
         this.band = new Band();
         this.strudelEngine = new StrudelEngine();
-        this.audioCapture = new AudioCapture();
+        this.audioCapture = new AudioCapture(this.strudelEngine);
+        this.arranger = new Arranger(this.band, this.strudelEngine);
+        this.tempoControl = new TempoControl(this.strudelEngine);
+        this.agentMeters = new AgentMeters(this.strudelEngine);
+        this.samples = new SampleManager();
+        this.renderer = new OfflineRenderer(this.strudelEngine, this.samples);
+        this.midiExport = new MidiExport(this.strudelEngine);
+        this.midiOutput = new MidiOutput(this.strudelEngine);
+        this.midiLearn = new MidiLearn();
         this.geminiManager = null;
 
         // State
         this.isListening = false;
         this.isPlaying = false;
 
+        // Agents whose changes wait for the next quantization boundary
+        this.queuedAgents = new Set();
+
         // Make app globally accessible
         window.app = this;
     }
@@ -26,8 +37,9 @@ class App {
     async init() {
         console.log('[App] Initializing Strudel Band...');
 
-        // Initialize UI
+        // Initialize UI and render a strip per agent in the roster
         this.ui.init();
+        this.ui.renderAgents(this.band.getAllAgents());
 
         // Initialize Strudel
         await this.strudelEngine.init();
@@ -41,8 +53,14 @@ class App {
         // Setup event listeners
         this.setupEventListeners();
 
-        // Check for API key
-        this.checkAPIKey();
+        // MIDI routes saved with the session (asks for MIDI access only if there are any)
+        await this.initMidi();
+
+        // Sample banks load in the background - names are accepted until they are known
+        this.initSamples();
+
+        // Check which backends the server can reach
+        await this.checkServerStatus();
 
         console.log('[App] Initialization complete!');
         this.ui.addChatMessage('system', 'Strudel Band ready. Let\'s jam!');
@@ -55,20 +73,134 @@ class App {
         // Band callbacks
         this.band.onCodeChange = (agentId, newCode, oldCode) => {
             this.ui.updateAgentCode(agentId, newCode);
+            this.ui.updateRating(agentId, this.band.getAgent(agentId)?.currentEntry?.rating || 0);
             this.updateLiveCode();
 
-            // Auto-play if we're in playing mode
+            // Auto-play if we're in playing mode (launches on the next boundary)
+            // A pattern that fails is reported through onSlotError and repaired there
             if (this.isPlaying) {
-                this.play();
+                this.play({ agentId });
+            }
+        };
+
+        // Streamed generation fills the agent's code panel live
+        this.band.onCodePreview = (agentId, text) => {
+            if (text === null) {
+                this.ui.endAgentPreview(agentId, this.band.getAgent(agentId)?.code);
+            } else {
+                this.ui.previewAgentCode(agentId, text);
             }
         };
 
+        // Once the director has split the instruction, agents show their own progress
+        this.band.onDirectorPlan = () => {
+            this.ui.hideLoading();
+        };
+
         this.band.onAgentUpdate = (agentId, update) => {
             if (update.status) {
-                this.ui.updateAgentStatus(agentId, update.status);
+                this.ui.updateAgentStatus(agentId, update.status, update.detail);
+            }
+        };
+
+        // Launch quantization and cycle length saved with the session
+        const transport = this.band.session.get('transport');
+        this.strudelEngine.setQuantize(transport.quantize || CONFIG.QUANTIZE.default);
+        this.strudelEngine.setBeatsPerCycle(transport.beatsPerCycle || CONFIG.STRUDEL.beatsPerCycle);
+
+        // Agents validate generated code before committing it, against the loaded samples too
+        this.band.validator = (code) => this.strudelEngine.checkCode(code);
+        this.band.samples = this.samples;
+        this.band.meters = this.agentMeters;
+        this.samples.onChange = (banks) => this.ui.renderSampleBanks(banks);
+
+        // The engine owns the tempo; the context mirrors it for the agents' prompts
+        this.strudelEngine.onTempoChange = (bpm) => {
+            this.ui.updateTempo(bpm);
+            this.band.context.update({ tempo: bpm });
+        };
+
+        this.tempoControl.onRampStart = (target, bars) => {
+            this.ui.setTempoRamp(target, bars);
+            this.ui.addChatMessage('system', `Tempo ramp to ${target} BPM over ${bars} bars`);
+        };
+        // Detected tempo: shown by the analyzer, and followed in follow mode - only the
+        // external input's, following the band's own tempo would just echo it
+        this.audioCapture.onTempo = (detection) => {
+            this.ui.updateDetectedTempo(detection);
+            if (this.audioCapture.externalSource) {
+                this.tempoControl.follow(detection);
             }
         };
 
+        // Detected key and chord: shown by the analyzer and passed on to the agents
+        this.audioCapture.onKey = (detection) => {
+            this.ui.updateDetectedKey(detection);
+            this.band.heard = detection;
+        };
+
+        this.tempoControl.onRampEnd = () => {
+            this.ui.setTempoRamp(null);
+        };
+
+        // Director tempo changes in the shared context set the engine tempo
+        this.band.context.onChange = (changes, context) => {
+            if (changes.tempo && context.tempo !== this.strudelEngine.tempo) {
+                this.tempoControl.set(context.tempo);
+            }
+
+            if (changes.meter) {
+                this.strudelEngine.setBeatsPerBar(context.meter.split('/')[0]);
+                this.audioCapture.setBeatsPerBar(this.strudelEngine.beatsPerBar);
+            }
+
+            this.ui.updateMusicalContext(context);
+
+            const harmonic = Object.keys(changes).filter(field => field !== 'tempo');
+            if (harmonic.length > 0) {
+                this.ui.addChatMessage('system', `Band context: ${context.describe()} · energy ${context.energy}/10`);
+            }
+        };
+        this.ui.updateMusicalContext(this.band.context);
+        this.strudelEngine.setBeatsPerBar(this.band.context.meter.split('/')[0]);
+        this.strudelEngine.setTempo(this.band.context.tempo);
+        this.ui.updateTempo(this.strudelEngine.tempo);
+
+        this.setupArrangerCallbacks();
+
+        // Agent-to-agent requests show up in the chat, with approval buttons when required
+        this.band.bus.onRequest = (request) => {
+            const from = this.band.getAgent(request.from);
+            const to = this.band.getAgent(request.to);
+            this.ui.addRequestMessage(request, from?.name || request.from, to?.name || request.to,
+                (id) => this.band.bus.approve(id),
+                (id) => this.band.bus.reject(id));
+
+            if (request.status === 'approved') {
+                this.ui.showBubble(request.from, `@${to?.name || request.to}: ${request.text}`);
+            }
+        };
+
+        this.band.bus.onResolve = (request) => {
+            this.ui.resolveRequestMessage(request);
+        };
+
+        this.band.onStyleChange = (agentId, style, label) => {
+            this.ui.updateAgentStyle(agentId, style, label);
+        };
+
+        // Roster edits re-render the strips; removed agents stop playing
+        this.band.onRosterChange = (roster) => {
+            this.ui.renderAgents(this.band.getAllAgents());
+            this.renderMidiRoutes();
+            this.ui.renderMidiBindings(this.midiLearn.bindings);
+            this.updateLiveCode();
+            if (this.isPlaying) {
+                this.play();
+            }
+            this.ui.addChatMessage('system', `Band: ${roster.map(member => member.name).join(', ')}`);
+        };
+
         this.band.onBandChat = (agentId, message) => {
             this.ui.addChatMessage(agentId, message);
 
@@ -82,11 +214,43 @@ class App {
         this.strudelEngine.onPlay = (code) => {
             this.isPlaying = true;
             this.ui.updateTransport(true);
+            this.audioCapture.resumeCapture();
+            this.audioCapture.startAnalysis(this.strudelEngine.beatsPerBar);
         };
 
         this.strudelEngine.onStop = () => {
             this.isPlaying = false;
             this.ui.updateTransport(false);
+            this.clearQueued();
+            this.midiOutput.stop();
+
+            // Agents don't need to hear silence; the capture graph stays up for the next play
+            this.audioCapture.pauseCapture();
+        };
+
+        // Quantized launches: strips show "queued" until the change lands
+        this.strudelEngine.onLaunch = () => {
+            this.clearQueued();
+            this.midiOutput.update();
+        };
+
+        // MIDI output
+        this.midiOutput.onPortsChange = () => this.renderMidiRoutes();
+
+        // MIDI controller input
+        this.midiLearn.onAction = (action, value) => this.runMidiAction(action, value);
+        this.midiLearn.onLearn = () => {
+            this.ui.armMidiLearn(null);
+            this.ui.renderMidiBindings(this.midiLearn.bindings);
+        };
+
+        // A failing agent keeps playing its last good pattern while it repairs
+        this.strudelEngine.onSlotError = (agentId, error, lastGood) => {
+            this.ui.setAgentSlotError(agentId, error, Boolean(lastGood));
+            if (error) {
+                this.band.repairAgent(agentId, error)
+                    .catch(repairError => console.error(`[App] Repair of ${agentId} failed:`, repairError));
+            }
         };
 
         this.strudelEngine.onError = (error) => {
@@ -94,6 +258,50 @@ class App {
         };
     }
 
+    /**
+     * Setup arrangement callbacks (section switches and the bar countdown)
+     */
+    setupArrangerCallbacks() {
+        let countdownEl = null;
+
+        this.arranger.onSectionStart = (section, index, plan, cycle) => {
+            const changed = this.band.applyCodes(section.codes || {});
+            changed.forEach(agentId => {
+                this.ui.updateAgentCode(agentId, this.band.getAgent(agentId).code);
+                this.ui.updateRating(agentId, 0);
+            });
+
+            // One evaluation for the whole section, taking effect on the arranger's bar line
+            this.play({ immediate: true, from: cycle });
+
+            countdownEl = null;
+            this.ui.addChatMessage('director',
+                `▶ ${section.name} (${index + 1}/${plan.sections.length})` +
+                (section.bandChat ? ` - ${section.bandChat}` : ''));
+        };
+
+        // The countdown rewrites a single chat line instead of adding one per bar
+        const showCountdown = (text) => {
+            if (countdownEl?.isConnected) {
+                this.ui.updateChatMessage(countdownEl, text);
+            } else {
+                countdownEl = this.ui.addChatMessage('system', text);
+            }
+        };
+
+        this.arranger.onCountdown = (section, barsLeft, next) => {
+            showCountdown(`${section.name}: ${barsLeft} bar${barsLeft === 1 ? '' : 's'} until ${next.name}`);
+        };
+
+        this.arranger.onWaiting = (section, next) => {
+            showCountdown(`${section.name}: extending by a bar while ${next.name} is still being written...`);
+        };
+
+        this.arranger.onEnd = () => {
+            countdownEl = null;
+        };
+    }
+
     /**
      * Setup event listeners
      */
@@ -103,6 +311,27 @@ class App {
         document.getElementById('btnStop')?.addEventListener('click', () => this.stop());
         document.getElementById('btnListen')?.addEventListener('click', () => this.toggleListening());
 
+        // Tempo: type, scroll, nudge buttons and tap
+        const tempoInput = document.getElementById('tempoValue');
+        tempoInput?.addEventListener('change', () => {
+            this.ui.updateTempo(this.setTempo(tempoInput.value));
+        });
+        tempoInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === 'Escape') tempoInput.blur();
+        });
+        tempoInput?.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.nudgeTempo(e.deltaY < 0 ? CONFIG.TEMPO.nudge : -CONFIG.TEMPO.nudge);
+        }, { passive: false });
+        document.getElementById('btnTempoDown')?.addEventListener('click', (e) => {
+            this.nudgeTempo(-(e.shiftKey ? CONFIG.TEMPO.nudgeLarge : CONFIG.TEMPO.nudge));
+        });
+        document.getElementById('btnTempoUp')?.addEventListener('click', (e) => {
+            this.nudgeTempo(e.shiftKey ? CONFIG.TEMPO.nudgeLarge : CONFIG.TEMPO.nudge);
+        });
+        document.getElementById('btnTapTempo')?.addEventListener('click', () => this.tapTempo());
+        document.getElementById('btnTempoFollow')?.addEventListener('click', () => this.toggleTempoFollow());
+
         // Director
         document.getElementById('btnDirect')?.addEventListener('click', () => this.directBand());
         document.getElementById('directorPrompt')?.addEventListener('keydown', (e) => {
@@ -120,108 +349,213 @@ class App {
             });
         });
 
-        // Agent generate buttons
-        document.querySelectorAll('.gen-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const agentId = btn.dataset.agent;
-                this.generateForAgent(agentId);
-            });
-        });
+        // Agent strips are re-rendered when the roster changes, so listen on the stage
+        const stage = document.getElementById('agentsStage');
 
-        // Agent prompts (Enter to generate)
-        ['drums', 'bass', 'lead', 'pads', 'fx'].forEach(agentId => {
-            const input = document.getElementById(`${agentId}-prompt`);
-            input?.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && !e.shiftKey) {
-                    e.preventDefault();
-                    this.generateForAgent(agentId);
-                }
-            });
+        // Generate, mute and solo buttons
+        stage?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.gen-btn, .ctrl-btn');
+            const agentId = btn?.closest('.agent')?.dataset.agent;
+            if (!agentId) return;
+
+            if (btn.classList.contains('gen-btn')) this.generateForAgent(agentId);
+            if (btn.classList.contains('like')) this.rateAgent(agentId, 1);
+            if (btn.classList.contains('dislike')) this.rateAgent(agentId, -1);
+            if (btn.classList.contains('mute')) this.toggleMute(agentId);
+            if (btn.classList.contains('solo')) this.toggleSolo(agentId);
         });
 
-        // Mute/Solo buttons
-        document.querySelectorAll('.ctrl-btn.mute').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const agentId = e.target.closest('.agent').dataset.agent;
-                this.toggleMute(agentId);
-            });
+        // Style dials (saved with the session once released) and MIDI routing
+        stage?.addEventListener('change', (e) => {
+            const agentId = e.target.closest('.agent')?.dataset.agent;
+            if (agentId && e.target.classList.contains('style-dial')) {
+                this.band.setAgentStyle(agentId, e.target.value);
+            }
+            if (agentId && e.target.closest('.agent-midi')) {
+                this.setMidiRoute(agentId);
+            }
         });
 
-        document.querySelectorAll('.ctrl-btn.solo').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const agentId = e.target.closest('.agent').dataset.agent;
-                this.toggleSolo(agentId);
-            });
+        // Agent prompts (Enter to generate)
+        stage?.addEventListener('keydown', (e) => {
+            const agentId = e.target.closest('.agent-input')?.closest('.agent')?.dataset.agent;
+            if (agentId && e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.generateForAgent(agentId);
+            }
         });
 
         // Custom events from UI
         document.addEventListener('strudel:play', () => this.play());
         document.addEventListener('strudel:stop', () => this.stop());
         document.addEventListener('strudel:toggle', () => this.toggle());
+        document.addEventListener('strudel:tempo-nudge', (e) => this.nudgeTempo(e.detail.delta));
+        document.addEventListener('strudel:tap', () => this.tapTempo());
 
         // Settings modal
         document.getElementById('btnSettings')?.addEventListener('click', () => this.openSettings());
         document.getElementById('btnCloseSettings')?.addEventListener('click', () => this.closeSettings());
+        document.getElementById('btnCloseSettingsFooter')?.addEventListener('click', () => this.closeSettings());
         document.getElementById('btnSaveSettings')?.addEventListener('click', () => this.saveSettings());
-        document.getElementById('btnClearKeys')?.addEventListener('click', () => this.clearKeys());
+
+        // Render modal
+        document.getElementById('btnRender')?.addEventListener('click', () => this.openRender());
+        document.getElementById('btnCloseRender')?.addEventListener('click', () => this.closeRender());
+        document.getElementById('btnCloseRenderFooter')?.addEventListener('click', () => this.closeRender());
+        document.getElementById('btnStartRender')?.addEventListener('click', () => this.renderAudio());
+        document.getElementById('btnExportMidi')?.addEventListener('click', () => this.exportMidi());
+
+        // Sample banks
+        document.getElementById('btnAddBank')?.addEventListener('click', () => this.addSampleBank());
+        document.getElementById('sampleBankUrl')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addSampleBank();
+        });
+        document.getElementById('btnLoadFolder')?.addEventListener('click', () => {
+            document.getElementById('sampleFolderInput')?.click();
+        });
+        document.getElementById('sampleFolderInput')?.addEventListener('change', (e) => {
+            this.loadSampleFolder(e.target.files);
+            e.target.value = '';
+        });
+        document.getElementById('sampleBanks')?.addEventListener('click', (e) => {
+            const id = e.target.closest('.sample-bank-remove')?.dataset.bank;
+            if (id) this.samples.removeBank(parseInt(id));
+        });
+
+        // Roster editor
+        document.getElementById('btnAddAgent')?.addEventListener('click', () => this.ui.addRosterRow());
+        document.getElementById('btnResetRoster')?.addEventListener('click', () => {
+            this.ui.renderRosterSettings(Roster.defaults());
+        });
+
+        // MIDI learn: while learning, clicking a control picks it instead of pressing it
+        document.getElementById('btnMidiLearn')?.addEventListener('click', () => this.toggleMidiLearn());
+        document.addEventListener('click', (e) => {
+            const control = this.midiLearn.learning && e.target.closest('[data-learn]');
+            if (!control) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.midiLearn.arm(control.dataset.learn);
+            this.ui.armMidiLearn(control.dataset.learn);
+        }, true);
+        document.addEventListener('keydown', (e) => {
+            if (!this.midiLearn.learning) return;
+            if (e.key === 'Escape') this.toggleMidiLearn();
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.midiLearn.target) {
+                e.preventDefault();
+                this.midiLearn.clear(this.midiLearn.target);
+                this.midiLearn.arm(null);
+            }
+        });
 
         // Close modal on overlay click
         document.getElementById('settingsModal')?.addEventListener('click', (e) => {
             if (e.target.id === 'settingsModal') this.closeSettings();
         });
+        document.getElementById('renderModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'renderModal') this.closeRender();
+        });
 
         // Escape key to close modal
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') this.closeSettings();
+            if (e.key === 'Escape') {
+                this.closeSettings();
+                this.closeRender();
+            }
         });
     }
 
     /**
-     * Check for API key in URL or prompt
+     * Check which backends the local server has keys for
      */
-    checkAPIKey() {
-        // Check URL params
-        const params = new URLSearchParams(window.location.search);
-        const apiKey = params.get('apiKey') || params.get('key');
+    async checkServerStatus() {
+        // Keys from older versions must not linger in the browser
+        localStorage.removeItem('anthropic_api_key');
+        localStorage.removeItem('gemini_api_key');
 
-        if (apiKey) {
-            window.ANTHROPIC_API_KEY = apiKey;
+        let status = null;
+        try {
+            const response = await fetch(CONFIG.SERVER.statusUrl);
+            if (response.ok) {
+                status = await response.json();
+            }
+        } catch (e) {
+            console.warn('[App] Server status unavailable:', e);
+        }
+
+        if (!status) {
+            this.ui.addChatMessage('system',
+                'Local server not reachable. Using demo patterns. Start it with "npm start".');
+            return;
+        }
+
+        const readyProviders = Object.entries(status.providers || {})
+            .filter(([name, ready]) => ready)
+            .map(([name]) => name);
+
+        if (status.providers?.anthropic || status.providers?.openai) {
             this.ui.updateConnectionStatus('online');
-            console.log('[App] API key found in URL');
         } else {
-            // Check localStorage
-            const storedKey = localStorage.getItem('anthropic_api_key');
-            if (storedKey) {
-                window.ANTHROPIC_API_KEY = storedKey;
-                this.ui.updateConnectionStatus('online');
-            } else {
-                this.ui.addChatMessage('system',
-                    'No API key found. Using demo patterns. Add ?key=YOUR_KEY to URL for full AI generation.');
-            }
+            this.ui.addChatMessage('system',
+                'No cloud API key in the server .env. Using demo patterns unless a local model is set in Settings.');
         }
+        console.log('[App] Server providers ready:', readyProviders);
 
-        // Also check for Gemini key
-        const geminiKey = params.get('geminiKey') || localStorage.getItem('gemini_api_key');
-        if (geminiKey) {
-            CONFIG.GEMINI_API_KEY = geminiKey;
-            this.geminiManager = new GeminiAgentManager(geminiKey);
+        if (status.gemini) {
+            this.geminiManager = new GeminiAgentManager();
             this.geminiManager.init();
         }
     }
 
     /**
-     * Play the current combined pattern
+     * Play every agent's pattern slot
+     * While playing, changes are queued for the next quantization boundary
+     * unless immediate is set (from: the cycle it takes effect on); agentId marks whose
+     * change is waiting
      */
-    play() {
-        const code = this.band.getCombinedCode();
-        this.strudelEngine.play(code);
+    async play(options = {}) {
+        // Agents routed to MIDI only keep their slot but lose the built-in sound
+        const slots = this.band.getPatternSlots().map(slot => ({ ...slot, audio: this.midiOutput.playsAudio(slot.id) }));
+        const engine = this.strudelEngine;
+
+        if (options.immediate) {
+            engine.cancelPending();
+            this.clearQueued();
+            const ok = await engine.play(slots, options.from ?? null);
+            this.updateLiveCode();
+            this.midiOutput.update();
+            return ok;
+        }
+
+        const ok = await engine.schedule(slots);
         this.updateLiveCode();
+        this.midiOutput.update();
+
+        if (engine.pending && options.agentId) {
+            this.queuedAgents.add(options.agentId);
+            this.ui.setAgentQueued(options.agentId, true);
+        } else if (!engine.pending) {
+            this.clearQueued();
+        }
+
+        return ok;
+    }
+
+    /**
+     * Clear the "queued" state from every strip
+     */
+    clearQueued() {
+        this.queuedAgents.forEach(agentId => this.ui.setAgentQueued(agentId, false));
+        this.queuedAgents.clear();
     }
 
     /**
      * Stop all sound
      */
     stop() {
+        this.arranger.stop();
+        this.tempoControl.cancelRamp();
         this.strudelEngine.stop();
     }
 
@@ -254,11 +588,34 @@ class App {
             return;
         }
 
+        // "ramp to 140 over 8 bars" moves the tempo without asking the director
+        const ramp = TempoControl.parseRampCommand(prompt);
+        if (ramp) {
+            this.ui.addChatMessage('director', prompt);
+            this.tempoControl.rampTo(ramp.tempo, ramp.bars);
+            return;
+        }
+
         this.ui.showLoading('Directing the band...');
         this.ui.addChatMessage('director', prompt);
 
+        // A new direction replaces any arrangement in progress
+        this.arranger.stop();
+
         try {
-            await this.band.direct(prompt);
+            const plan = await this.band.direct(prompt);
+
+            // Style commands only turn dials - nothing new to play
+            if (plan?.styleOnly) {
+                return;
+            }
+
+            // Timed plans switch sections on bar lines - the arranger starts playback
+            if (plan?.sections) {
+                await this.arranger.start(plan);
+                return;
+            }
+
             this.updateLiveCode();
 
             // Auto-play after directing
@@ -275,8 +632,9 @@ class App {
      * Apply mood preset
      */
     async applyMood(mood) {
-        this.ui.showLoading(`Applying ${mood} mood...`);
+        // No loading overlay - each agent streams into its own strip
         this.ui.addChatMessage('director', `Let's go ${mood}!`);
+        this.arranger.stop();
 
         try {
             await this.band.applyMood(mood);
@@ -286,8 +644,6 @@ class App {
             setTimeout(() => this.play(), 500);
         } catch (error) {
             console.error('[App] Mood failed:', error);
-        } finally {
-            this.ui.hideLoading();
         }
     }
 
@@ -306,13 +662,10 @@ class App {
         this.ui.updateAgentStatus(agentId, 'generating');
 
         try {
-            await this.band.generateForAgent(agentId, prompt);
-            this.updateLiveCode();
+            const code = await this.band.generateForAgent(agentId, prompt);
+            if (!code) return;
 
-            // Auto-play if we're playing
-            if (this.isPlaying) {
-                this.play();
-            }
+            this.updateLiveCode();
 
             // Agent says something
             const agent = this.band.getAgent(agentId);
@@ -332,6 +685,26 @@ class App {
         }
     }
 
+    /**
+     * Thumbs up/down on an agent's current pattern
+     */
+    rateAgent(agentId, rating) {
+        const agent = this.band.getAgent(agentId);
+        if (!agent?.code) return;
+
+        // Clicking the same thumb again clears the rating
+        const current = agent.currentEntry?.rating || 0;
+        const entry = this.band.rateAgent(agentId, current === rating ? 0 : rating);
+        if (!entry) return;
+
+        this.ui.updateRating(agentId, entry.rating);
+        if (entry.rating > 0) {
+            agent.say('Noted - more like this.');
+        } else if (entry.rating < 0) {
+            agent.say("Got it, I'll steer away from that.");
+        }
+    }
+
     /**
      * Toggle mute for agent
      */
@@ -343,7 +716,7 @@ class App {
             this.updateLiveCode();
 
             if (this.isPlaying) {
-                this.play();
+                this.play({ agentId });
             }
 
             if (isMuted) {
@@ -392,7 +765,7 @@ class App {
 
         this.updateLiveCode();
         if (this.isPlaying) {
-            this.play();
+            this.play({ agentId });
         }
     }
 
@@ -402,7 +775,7 @@ class App {
     async toggleListening() {
         if (!this.geminiManager) {
             this.ui.addChatMessage('system',
-                'Listening mode requires Gemini API key. Add ?geminiKey=YOUR_KEY to URL.');
+                'Listening mode requires GEMINI_API_KEY in the server .env file.');
             return;
         }
 
@@ -412,14 +785,19 @@ class App {
         if (this.isListening) {
             this.ui.addChatMessage('system', 'Agents are now listening to the music...');
 
-            // Start capturing audio
-            this.audioCapture.startCapture((base64Audio) => {
+            // Start capturing audio (paused until the band plays)
+            const capturing = this.audioCapture.startCapture((base64Audio) => {
                 this.geminiManager.sendAudioToAll(base64Audio);
             });
+            if (!capturing) {
+                this.ui.addChatMessage('system', 'Audio capture is unavailable in this browser, agents can\'t hear the band.');
+            } else if (!this.isPlaying) {
+                this.audioCapture.pauseCapture();
+            }
 
             // Start listening sessions for each agent
             for (const [agentId, agent] of this.band.getAllAgents()) {
-                await this.geminiManager.startListening(agentId, (msg) => {
+                await this.geminiManager.startListening(agentId, agent.config, (msg) => {
                     // Handle agent response to audio
                     this.handleAgentAudioResponse(agentId, msg);
                 });
@@ -448,14 +826,54 @@ class App {
     }
 
     /**
-     * Set tempo
+     * Set tempo (returns the tempo actually applied)
      */
     setTempo(bpm) {
-        this.strudelEngine.setTempo(bpm);
-        const tempoDisplay = document.getElementById('tempoValue');
-        if (tempoDisplay) {
-            tempoDisplay.textContent = bpm;
+        return this.tempoControl.set(bpm);
+    }
+
+    /**
+     * Nudge the tempo by a few BPM
+     */
+    nudgeTempo(delta) {
+        this.tempoControl.nudge(delta);
+    }
+
+    /**
+     * Follow mode: open a mic / line-in and let the tempo follow what it detects there
+     */
+    async toggleTempoFollow() {
+        if (this.tempoControl.following) {
+            this.tempoControl.setFollowing(false);
+            this.audioCapture.closeExternalInput();
+            this.ui.setTempoFollow(false);
+            this.ui.addChatMessage('system', 'Tempo follow off.');
+            return;
+        }
+
+        if (!this.audioCapture.startAnalysis(this.strudelEngine.beatsPerBar)) {
+            this.ui.addChatMessage('system', 'Audio analysis is unavailable in this browser.');
+            return;
+        }
+
+        try {
+            await this.audioCapture.openExternalInput();
+        } catch (error) {
+            this.ui.addChatMessage('system', `Can't open an audio input to follow: ${error.message}`);
+            return;
         }
+
+        this.tempoControl.setFollowing(true);
+        this.ui.setTempoFollow(true);
+        this.ui.addChatMessage('system', 'Following the tempo of the audio input...');
+    }
+
+    /**
+     * Tap tempo
+     */
+    tapTempo() {
+        this.ui.flashTap();
+        this.tempoControl.tap();
     }
 
     /**
@@ -463,20 +881,42 @@ class App {
      */
     openSettings() {
         const modal = document.getElementById('settingsModal');
-        const anthropicInput = document.getElementById('anthropicKey');
-        const geminiInput = document.getElementById('geminiKey');
         const tempoInput = document.getElementById('tempoSetting');
+        const streamInput = document.getElementById('streamSetting');
+        const approveInput = document.getElementById('approveRequestsSetting');
+        const quantizeInput = document.getElementById('quantizeSetting');
+        const cycleInput = document.getElementById('beatsPerCycleSetting');
 
         // Load current values
-        if (anthropicInput) {
-            anthropicInput.value = localStorage.getItem('anthropic_api_key') || '';
-        }
-        if (geminiInput) {
-            geminiInput.value = localStorage.getItem('gemini_api_key') || '';
-        }
         if (tempoInput) {
             tempoInput.value = this.strudelEngine.tempo || 120;
         }
+        if (streamInput) {
+            streamInput.checked = this.band.llm.settings.stream;
+        }
+        if (approveInput) {
+            approveInput.checked = this.band.bus.settings.requireApproval;
+        }
+        if (quantizeInput) {
+            this.ui.renderQuantizeOptions(quantizeInput, this.strudelEngine.quantize);
+        }
+        if (cycleInput) {
+            this.ui.renderBeatsPerCycleOptions(cycleInput, this.strudelEngine.beatsPerCycle);
+        }
+
+        // Band roster
+        this.ui.renderRosterSettings(this.band.roster.list());
+
+        // Sample banks
+        this.ui.renderSampleBanks(this.samples.banks);
+
+        // Musical context
+        this.ui.renderMusicalContextSettings(this.band.context);
+
+        // Per-role model settings
+        const roles = [{ id: 'director', name: 'DIRECTOR' }];
+        this.band.getAllAgents().forEach((agent, id) => roles.push({ id, name: agent.name }));
+        this.ui.renderLLMSettings(roles, this.band.llm);
 
         modal?.classList.add('active');
     }
@@ -492,31 +932,42 @@ class App {
      * Save settings
      */
     saveSettings() {
-        const anthropicKey = document.getElementById('anthropicKey')?.value.trim();
-        const geminiKey = document.getElementById('geminiKey')?.value.trim();
         const tempo = parseInt(document.getElementById('tempoSetting')?.value) || 120;
 
-        // Save Anthropic key
-        if (anthropicKey) {
-            localStorage.setItem('anthropic_api_key', anthropicKey);
-            window.ANTHROPIC_API_KEY = anthropicKey;
-            this.ui.updateConnectionStatus('online');
-            this.ui.addChatMessage('system', 'Anthropic API key saved!');
+        // Save the roster first so new agents exist before their model settings
+        try {
+            this.band.setRoster(this.ui.readRosterSettings());
+        } catch (error) {
+            this.ui.addChatMessage('system', error.message);
         }
 
-        // Save Gemini key
-        if (geminiKey) {
-            localStorage.setItem('gemini_api_key', geminiKey);
-            CONFIG.GEMINI_API_KEY = geminiKey;
+        // Save per-role models
+        const llm = this.band.llm;
+        Object.entries(this.ui.readLLMSettings()).forEach(([role, settings]) => {
+            llm.setRoleSettings(role, settings);
+        });
+        llm.setStreaming(document.getElementById('streamSetting')?.checked ?? true);
 
-            // Initialize Gemini manager if not already
-            if (!this.geminiManager) {
-                this.geminiManager = new GeminiAgentManager(geminiKey);
-                this.geminiManager.init();
-            }
-            this.ui.addChatMessage('system', 'Gemini API key saved! Listening mode enabled.');
+        // Save launch quantization
+        const quantize = document.getElementById('quantizeSetting')?.value;
+        if (quantize) {
+            this.strudelEngine.setQuantize(quantize);
+            this.band.session.set('transport', { ...this.band.session.get('transport'), quantize: this.strudelEngine.quantize });
+        }
+
+        // Save cycle length
+        const beatsPerCycle = parseInt(document.getElementById('beatsPerCycleSetting')?.value);
+        if (beatsPerCycle) {
+            this.strudelEngine.setBeatsPerCycle(beatsPerCycle);
+            this.band.session.set('transport', { ...this.band.session.get('transport'), beatsPerCycle });
         }
 
+        // Save agent request approval
+        this.band.bus.setRequireApproval(document.getElementById('approveRequestsSetting')?.checked ?? true);
+
+        // Save musical context
+        this.band.context.update(this.ui.readMusicalContextSettings());
+
         // Save tempo
         this.setTempo(tempo);
 
@@ -524,19 +975,267 @@ class App {
     }
 
     /**
-     * Clear all stored keys
+     * Load the sample banks and say which configured agent samples aren't available
      */
-    clearKeys() {
-        localStorage.removeItem('anthropic_api_key');
-        localStorage.removeItem('gemini_api_key');
-        window.ANTHROPIC_API_KEY = '';
-        CONFIG.GEMINI_API_KEY = '';
+    async initSamples() {
+        await this.samples.init();
+
+        this.band.getAllAgents().forEach(agent => {
+            const missing = this.samples.missingFrom(agent.config.samples);
+            if (missing.length === 0) return;
+
+            const stand = missing.map(name => this.samples.substituteFor(name)).filter(Boolean);
+            this.ui.addChatMessage('system',
+                `${agent.name}: ${missing.join(', ')} not loaded` +
+                (stand.length ? ` - patterns will use ${[...new Set(stand)].join(', ')} instead` : ''));
+        });
+    }
+
+    /**
+     * Add the sample bank URL typed in settings
+     */
+    async addSampleBank() {
+        const input = document.getElementById('sampleBankUrl');
+        try {
+            const bank = await this.samples.addBank(input?.value);
+            if (input) input.value = '';
+            if (bank.status === 'error') {
+                this.ui.addChatMessage('system', `Sample bank "${bank.name}" failed: ${bank.error}`);
+            }
+        } catch (error) {
+            this.ui.addChatMessage('system', error.message);
+        }
+    }
+
+    /**
+     * Register a folder of the user's own samples
+     */
+    loadSampleFolder(files) {
+        if (!files?.length) return;
+
+        try {
+            const bank = this.samples.loadFolder(files);
+            this.ui.addChatMessage('system', `Loaded ${bank.names.length} sounds from "${bank.name}": ${bank.names.slice(0, 12).join(', ')}`);
+        } catch (error) {
+            this.ui.addChatMessage('system', error.message);
+        }
+    }
 
-        document.getElementById('anthropicKey').value = '';
-        document.getElementById('geminiKey').value = '';
+    /**
+     * Turn MIDI learn mode on or off
+     */
+    async toggleMidiLearn() {
+        const learn = this.midiLearn;
+        if (learn.learning) {
+            learn.stopLearning();
+            this.ui.setMidiLearn(false);
+            return;
+        }
 
-        this.ui.updateConnectionStatus('offline');
-        this.ui.addChatMessage('system', 'API keys cleared.');
+        if (!await learn.init()) {
+            this.ui.addChatMessage('system', 'MIDI input is not available - the browser refused or does not support Web MIDI');
+            return;
+        }
+
+        learn.startLearning();
+        this.ui.setMidiLearn(true);
+        this.ui.addChatMessage('system', 'MIDI learn: click a control, then move a knob or hit a pad. Delete clears it, Esc finishes');
+    }
+
+    /**
+     * Run a bound MIDI control - value is the knob position (0-1), null for pads and buttons
+     */
+    runMidiAction(action, value) {
+        const [name, arg] = action.split(/:(.*)/);
+
+        switch (name) {
+            case 'play': this.play(); break;
+            case 'stop': this.stop(); break;
+            case 'mute': this.toggleMute(arg); break;
+            case 'solo': this.toggleSolo(arg); break;
+            case 'generate': this.generateForAgent(arg); break;
+            case 'mood': this.applyMood(arg); break;
+            case 'direct': this.directBand(); break;
+            case 'tap': this.tapTempo(); break;
+            case 'follow': this.toggleTempoFollow(); break;
+            case 'tempo-up': this.nudgeTempo(CONFIG.TEMPO.nudge); break;
+            case 'tempo-down': this.nudgeTempo(-CONFIG.TEMPO.nudge); break;
+            case 'tempo':
+                // A knob sweeps the tempo range, a pad taps
+                if (value === null) {
+                    this.tapTempo();
+                } else {
+                    const { min, max } = CONFIG.MIDI.tempoKnob;
+                    this.setTempo(min + value * (max - min));
+                }
+                break;
+            default:
+                console.warn('[App] Unknown MIDI action:', action);
+        }
+    }
+
+    /**
+     * Restore saved MIDI routes and controller bindings
+     */
+    async initMidi() {
+        const routes = this.band.session.get('midi');
+        if (Object.keys(routes).length > 0) {
+            await this.midiOutput.init();
+        }
+        this.midiOutput.setRoutes(routes);
+        this.renderMidiRoutes();
+
+        // Controller bindings work without entering learn mode
+        if (this.midiLearn.hasBindings) {
+            await this.midiLearn.init();
+        }
+        this.ui.renderMidiBindings(this.midiLearn.bindings);
+    }
+
+    renderMidiRoutes() {
+        const midi = this.midiOutput;
+        this.ui.renderMidiRoutes(midi.getPorts(), midi.routes, { supported: midi.isSupported, enabled: midi.isEnabled });
+    }
+
+    /**
+     * Apply the MIDI route picked on an agent's strip and save it with the session
+     */
+    async setMidiRoute(agentId) {
+        const route = this.ui.readMidiRoute(agentId);
+        if (!route) return;
+
+        if (route.port === '__connect') {
+            if (!await this.midiOutput.init()) {
+                this.ui.addChatMessage('system', 'MIDI output is not available - the browser refused or does not support Web MIDI');
+            }
+            this.renderMidiRoutes();
+            return;
+        }
+
+        this.midiOutput.setRoute(agentId, route);
+        this.band.session.set('midi', { ...this.midiOutput.routes });
+        this.renderMidiRoutes();
+
+        // Switching the built-in sound on or off changes the program
+        if (this.isPlaying) {
+            this.play({ agentId });
+        }
+    }
+
+    /**
+     * Open the render modal
+     */
+    openRender() {
+        this.ui.renderRenderOptions(this.getSavedArrangement());
+        document.getElementById('renderModal')?.classList.add('active');
+    }
+
+    /**
+     * Close the render modal
+     */
+    closeRender() {
+        document.getElementById('renderModal')?.classList.remove('active');
+    }
+
+    /**
+     * The last fully generated arrangement, if one was saved
+     */
+    getSavedArrangement() {
+        const saved = this.band.session.get('arrangement');
+        return saved.sections?.length ? saved : null;
+    }
+
+    /**
+     * What to render: [{ codes: [{ id, code }], cycles }]
+     * Arrangement sections change only the agents they have codes for, as when played live
+     */
+    getRenderParts(source, cycles) {
+        const slots = this.band.getPatternSlots().filter(slot => slot.code);
+        const arrangement = source === 'arrangement' && this.getSavedArrangement();
+
+        if (!arrangement) {
+            return [{ codes: slots.map(({ id, code }) => ({ id, code })), cycles }];
+        }
+
+        const codes = Object.fromEntries(slots.map(({ id, code }) => [id, code]));
+        return arrangement.sections.map(section => {
+            Object.entries(section.codes || {}).forEach(([id, code]) => {
+                if (code && this.band.getAgent(id)) codes[id] = code;
+            });
+            return {
+                codes: Object.entries(codes).map(([id, code]) => ({ id, code })),
+                cycles: section.bars * this.strudelEngine.cyclesPerBar
+            };
+        });
+    }
+
+    /**
+     * Parts for the source and cycle count chosen in the render modal
+     */
+    readRenderParts() {
+        const source = document.getElementById('renderSource')?.value || 'current';
+        const cycles = Math.min(CONFIG.RENDER.maxCycles,
+            Math.max(1, parseInt(document.getElementById('renderCycles')?.value) || CONFIG.RENDER.defaultCycles));
+
+        return this.getRenderParts(source, cycles);
+    }
+
+    /**
+     * Download name like strudel-band-20250101-1200
+     */
+    exportName() {
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        return `strudel-band-${stamp}`;
+    }
+
+    /**
+     * Render the band offline and download it as a WAV file
+     */
+    async renderAudio() {
+        const sampleRate = parseInt(document.getElementById('renderSampleRate')?.value) || CONFIG.RENDER.sampleRates[0];
+        const parts = this.readRenderParts();
+
+        this.closeRender();
+        this.ui.showLoading('Rendering...');
+
+        try {
+            const { buffer, events, warnings } = await this.renderer.render(parts, { sampleRate });
+            OfflineRenderer.download(OfflineRenderer.encodeWav(buffer), `${this.exportName()}.wav`);
+
+            this.ui.addChatMessage('system',
+                `Rendered ${buffer.duration.toFixed(1)}s (${events} events) at ${sampleRate} Hz` +
+                (warnings.length ? ` - ${warnings.join('; ')}` : ''));
+        } catch (error) {
+            console.error('[App] Render failed:', error);
+            this.ui.addChatMessage('system', `Render failed: ${error.message}`);
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Export the agents' patterns as a MIDI file, one track per agent
+     */
+    async exportMidi() {
+        const parts = this.readRenderParts();
+        const names = {};
+        this.band.getAllAgents().forEach((agent, id) => {
+            names[id] = agent.name;
+        });
+
+        this.closeRender();
+
+        try {
+            const { blob, tracks, notes, warnings } = await this.midiExport.export(parts, names);
+            OfflineRenderer.download(blob, `${this.exportName()}.mid`);
+
+            this.ui.addChatMessage('system',
+                `Exported ${notes} notes on ${tracks} tracks` +
+                (warnings.length ? ` - ${warnings.join('; ')}` : ''));
+        } catch (error) {
+            console.error('[App] MIDI export failed:', error);
+            this.ui.addChatMessage('system', `MIDI export failed: ${error.message}`);
+        }
     }
 
     /**
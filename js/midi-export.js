@@ -0,0 +1,213 @@
+/**
+ * STRUDEL BAND - MIDI Export
+ * Writes the agents' pattern events to a Standard MIDI File, one track per agent,
+ * so a jam can be taken into a DAW
+ */
+
+// General MIDI drum notes by sample name
+const MIDI_DRUMS = {
+    bd: 36, kick: 36, sn: 38, sd: 38, snare: 38, rim: 37, rs: 37, cp: 39, clap: 39,
+    hh: 42, ch: 42, hat: 42, oh: 46, lt: 41, tom: 45, mt: 45, ht: 50,
+    crash: 49, cr: 49, ride: 51, rd: 51, cb: 56, perc: 75, click: 75, metal: 53
+};
+
+const MIDI_DRUM_CHANNEL = 9;
+
+// Strudel's built-in synths - with these, n is the same as note
+const MIDI_SYNTHS = ['sine', 'square', 'triangle', 'sawtooth', 'supersaw', 'pulse'];
+
+class MidiExport {
+    constructor(engine) {
+        this.engine = engine;
+        this.ticksPerBeat = 480;
+    }
+
+    /**
+     * Build a MIDI file from parts played back to back: [{ codes: [{ id, code }], cycles }]
+     * Each code is compiled by Strudel and its haps become notes
+     * names maps agent ids to track names
+     * Resolves to { blob, tracks, notes, warnings }
+     */
+    async export(parts, names = {}) {
+        const warnings = [];
+        const unmapped = new Set();
+        const tracks = new Map();
+        const ticksPerCycle = this.ticksPerBeat * this.engine.beatsPerCycle;
+        let offset = 0;
+
+        for (const part of parts) {
+            for (const { id, code } of part.codes) {
+                let events;
+                try {
+                    const pattern = await this.engine.compile(code);
+                    if (!pattern) throw new Error('Strudel is not loaded');
+                    events = StrudelEngine.events(pattern, offset, offset + part.cycles);
+                } catch (error) {
+                    warnings.push(`${id}: ${error.message}`);
+                    continue;
+                }
+
+                if (!tracks.has(id)) tracks.set(id, []);
+                const notes = tracks.get(id);
+                const channel = this.channelFor([...tracks.keys()].indexOf(id));
+
+                events.forEach(event => {
+                    const note = this.toNote(event, channel, ticksPerCycle);
+                    if (note) {
+                        notes.push(note);
+                    } else if (event.value.s !== undefined) {
+                        unmapped.add(event.value.s);
+                    }
+                });
+            }
+            offset += part.cycles;
+        }
+
+        const noteCount = [...tracks.values()].reduce((sum, notes) => sum + notes.length, 0);
+        if (noteCount === 0) {
+            throw new Error('Nothing to export - no pattern produced any notes');
+        }
+
+        unmapped.forEach(name => warnings.push(`"${name}" has no General MIDI drum and was left out`));
+
+        const chunks = [this.conductorTrack()];
+        tracks.forEach((notes, id) => chunks.push(this.noteTrack(names[id] || id, notes)));
+
+        console.log(`[MidiExport] ${noteCount} notes on ${tracks.size} tracks`);
+        return {
+            blob: new Blob([this.header(chunks.length), ...chunks], { type: 'audio/midi' }),
+            tracks: tracks.size,
+            notes: noteCount,
+            warnings
+        };
+    }
+
+    /**
+     * MIDI channel for the nth agent track - channel 10 (index 9) is kept for drums
+     */
+    channelFor(index) {
+        const channel = index % 15;
+        return channel < MIDI_DRUM_CHANNEL ? channel : channel + 1;
+    }
+
+    /**
+     * One event as { tick, length, channel, key, velocity }, or null if it can't be mapped
+     * Drums go to the GM drum channel
+     */
+    toNote(event, channel, ticksPerCycle) {
+        const note = MidiExport.noteFor(event.value);
+        if (!note) return null;
+
+        return {
+            tick: Math.round(event.begin * ticksPerCycle),
+            length: Math.max(1, Math.round((event.end - event.begin) * note.clip * ticksPerCycle)),
+            channel: note.drum ? MIDI_DRUM_CHANNEL : channel,
+            key: note.key,
+            velocity: note.velocity
+        };
+    }
+
+    /**
+     * MIDI key and velocity for an event value: { key, velocity, clip, drum }, or null
+     * Pitched events keep their note; unpitched ones become GM drums
+     */
+    static noteFor(value) {
+        let key = StrudelEngine.midiNote(value);
+        const name = value.s !== undefined ? String(value.s).toLowerCase() : null;
+        const drum = key === null && MIDI_DRUMS[name] !== undefined;
+
+        if (drum) {
+            key = MIDI_DRUMS[name];
+        } else if (key === null && value.n !== undefined && (name === null || MIDI_SYNTHS.includes(name))) {
+            key = Number(value.n);
+        }
+        if (key === null || !Number.isFinite(key)) return null;
+
+        const velocity = Number(value.gain ?? 1) * Number(value.velocity ?? 0.9);
+        return {
+            key: Math.max(0, Math.min(127, Math.round(key))),
+            velocity: Math.max(1, Math.min(127, Math.round(velocity * 127))),
+            clip: Number(value.clip ?? value.legato ?? 1),
+            drum
+        };
+    }
+
+    // ==================== FILE ====================
+
+    header(trackCount) {
+        return this.chunk('MThd', [
+            0, 1,                                   // Format 1: simultaneous tracks
+            trackCount >> 8, trackCount & 0xff,
+            this.ticksPerBeat >> 8, this.ticksPerBeat & 0xff
+        ]);
+    }
+
+    /**
+     * First track: tempo and time signature
+     */
+    conductorTrack() {
+        const tempo = Math.round(60000000 / this.engine.tempo);
+        const beatsPerBar = Math.min(255, this.engine.beatsPerBar);
+
+        return this.chunk('MTrk', [
+            ...this.metaEvent(0x03, this.textBytes('Strudel Band')),
+            ...this.metaEvent(0x51, [tempo >> 16, (tempo >> 8) & 0xff, tempo & 0xff]),
+            ...this.metaEvent(0x58, [beatsPerBar, 2, 24, 8]),
+            ...this.metaEvent(0x2f, [])
+        ]);
+    }
+
+    /**
+     * One agent's notes - note-offs sort before note-ons on the same tick
+     */
+    noteTrack(name, notes) {
+        const messages = notes.flatMap(note => [
+            { tick: note.tick, on: true, bytes: [0x90 | note.channel, note.key, note.velocity] },
+            { tick: note.tick + note.length, on: false, bytes: [0x80 | note.channel, note.key, 0] }
+        ]).sort((a, b) => a.tick - b.tick || a.on - b.on);
+
+        const bytes = this.metaEvent(0x03, this.textBytes(name));
+        let tick = 0;
+        messages.forEach(message => {
+            bytes.push(...this.varLength(message.tick - tick), ...message.bytes);
+            tick = message.tick;
+        });
+        bytes.push(...this.metaEvent(0x2f, []));
+
+        return this.chunk('MTrk', bytes);
+    }
+
+    /**
+     * Meta event at delta time 0
+     */
+    metaEvent(type, data) {
+        return [0, 0xff, type, ...this.varLength(data.length), ...data];
+    }
+
+    chunk(type, bytes) {
+        const data = new Uint8Array(8 + bytes.length);
+        const view = new DataView(data.buffer);
+        [...type].forEach((char, i) => view.setUint8(i, char.charCodeAt(0)));
+        view.setUint32(4, bytes.length);
+        data.set(bytes, 8);
+        return data;
+    }
+
+    /**
+     * MIDI variable-length quantity
+     */
+    varLength(value) {
+        const bytes = [value & 0x7f];
+        while ((value >>= 7) > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+        }
+        return bytes;
+    }
+
+    textBytes(text) {
+        return [...String(text)].map(char => char.charCodeAt(0) & 0x7f);
+    }
+}
+
+// Export
+window.MidiExport = MidiExport;
@@ -0,0 +1,180 @@
+/**
+ * STRUDEL BAND - MIDI Learn
+ * Binds notes and CCs from a MIDI controller to band controls
+ * (transport, mute/solo/generate, moods, director, tempo); bindings persist in localStorage
+ */
+
+// Actions that follow a knob's position instead of firing on a press
+const MIDI_CONTINUOUS_ACTIONS = ['tempo'];
+
+class MidiLearn {
+    constructor() {
+        this.access = null;
+
+        // 'cc:1:21' / 'note:10:36' -> action such as 'play', 'mute:drums' or 'mood:funk'
+        this.bindings = this.loadBindings();
+
+        // Learn mode and the action waiting for a control
+        this.learning = false;
+        this.target = null;
+
+        // Last value per CC, so buttons sending CCs fire once per press
+        this.ccValues = {};
+
+        // Callbacks
+        this.onAction = null;       // (action, value) - value is 0-1 for knobs, null for presses
+        this.onLearn = null;        // (action, key) - a control was bound (key null when cleared)
+    }
+
+    /**
+     * Ask for MIDI access and listen to every input - returns false when unavailable or refused
+     */
+    async init() {
+        if (this.access) return true;
+        if (typeof navigator === 'undefined' || typeof navigator.requestMIDIAccess !== 'function') return false;
+
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => this.attachInputs();
+            this.attachInputs();
+            return true;
+        } catch (error) {
+            console.warn('[MidiLearn] MIDI access refused:', error);
+            return false;
+        }
+    }
+
+    /**
+     * (Re)attach the message handler to all inputs, including newly plugged ones
+     */
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (e) => this.handleMessage(e.data);
+        });
+    }
+
+    /**
+     * Load bindings from localStorage
+     */
+    loadBindings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('midi_bindings') || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            console.warn('[MidiLearn] Invalid stored bindings, starting fresh:', e);
+            return {};
+        }
+    }
+
+    saveBindings() {
+        localStorage.setItem('midi_bindings', JSON.stringify(this.bindings));
+    }
+
+    get hasBindings() {
+        return Object.keys(this.bindings).length > 0;
+    }
+
+    startLearning() {
+        this.learning = true;
+        this.target = null;
+    }
+
+    stopLearning() {
+        this.learning = false;
+        this.target = null;
+    }
+
+    /**
+     * Wait for a control to bind to this action
+     */
+    arm(action) {
+        this.target = action;
+    }
+
+    /**
+     * Bind a control to an action - each action has at most one control
+     */
+    bind(key, action) {
+        this.removeAction(action);
+        this.bindings[key] = action;
+        this.saveBindings();
+
+        console.log(`[MidiLearn] ${MidiLearn.describe(key)} → ${action}`);
+        if (this.onLearn) this.onLearn(action, key);
+    }
+
+    /**
+     * Forget the control bound to an action
+     */
+    clear(action) {
+        this.removeAction(action);
+        this.saveBindings();
+
+        if (this.onLearn) this.onLearn(action, null);
+    }
+
+    removeAction(action) {
+        Object.keys(this.bindings).forEach(key => {
+            if (this.bindings[key] === action) delete this.bindings[key];
+        });
+    }
+
+    /**
+     * Control bound to an action, if any
+     */
+    keyFor(action) {
+        return Object.keys(this.bindings).find(key => this.bindings[key] === action) || null;
+    }
+
+    /**
+     * Note-ons and CCs either bind (while learning) or trigger their action
+     */
+    handleMessage(data) {
+        const [status, number, value = 0] = data;
+        const command = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+
+        let type;
+        if (command === 0x90 && value > 0) type = 'note';
+        else if (command === 0xb0) type = 'cc';
+        else return;
+
+        const key = `${type}:${channel}:${number}`;
+
+        if (this.learning) {
+            if (this.target) {
+                this.bind(key, this.target);
+                this.target = null;
+            }
+            return;
+        }
+
+        const action = this.bindings[key];
+        if (!action || !this.onAction) return;
+
+        if (type === 'note') {
+            this.onAction(action, null);
+            return;
+        }
+
+        const previous = this.ccValues[key] ?? 0;
+        this.ccValues[key] = value;
+
+        if (MIDI_CONTINUOUS_ACTIONS.includes(action)) {
+            this.onAction(action, value / 127);
+        } else if (previous < 64 && value >= 64) {
+            this.onAction(action, null);
+        }
+    }
+
+    /**
+     * Short label for a binding key ("CC 21", "Note 36 ch 10")
+     */
+    static describe(key) {
+        const [type, channel, number] = key.split(':');
+        return `${type === 'cc' ? 'CC' : 'Note'} ${number}${channel === '1' ? '' : ` ch ${channel}`}`;
+    }
+}
+
+// Export
+window.MidiLearn = MidiLearn;
@@ -0,0 +1,226 @@
+/**
+ * STRUDEL BAND - MIDI Output
+ * Sends each routed agent's note and drum events to a Web MIDI port and channel
+ * in time with playback, plus MIDI clock so external gear follows the band tempo
+ */
+
+class MidiOutput {
+    constructor(engine) {
+        this.engine = engine;
+        this.access = null;
+
+        // agentId -> { port, name, channel, audio } - port is the Web MIDI output id
+        this.routes = {};
+
+        // agentId -> compiled Strudel pattern for routed agents that are playing
+        this.patterns = new Map();
+
+        // Scheduler: events and clock pulses are sent up to this cycle
+        this.timer = null;
+        this.scheduledTo = null;
+
+        // Callbacks
+        this.onPortsChange = null;  // (ports)
+    }
+
+    get isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    get isEnabled() {
+        return this.access !== null;
+    }
+
+    /**
+     * Ask the browser for MIDI access - returns false when unavailable or refused
+     */
+    async init() {
+        if (this.access) return true;
+        if (!this.isSupported) return false;
+
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => {
+                if (this.onPortsChange) this.onPortsChange(this.getPorts());
+            };
+            console.log('[MidiOutput] Ports:', this.getPorts().map(port => port.name).join(', ') || 'none');
+            return true;
+        } catch (error) {
+            console.warn('[MidiOutput] MIDI access refused:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Connected output ports: [{ id, name }]
+     */
+    getPorts() {
+        if (!this.access) return [];
+        return [...this.access.outputs.values()]
+            .filter(port => port.state !== 'disconnected')
+            .map(port => ({ id: port.id, name: port.name }));
+    }
+
+    /**
+     * Route an agent to a port and channel (1-16), or back to audio only with null
+     * audio: false sends MIDI instead of the built-in sound
+     */
+    setRoute(agentId, route) {
+        if (!route?.port) {
+            this.allNotesOff(this.routes[agentId]);
+            delete this.routes[agentId];
+            this.patterns.delete(agentId);
+            return;
+        }
+
+        const previous = this.routes[agentId];
+        const port = this.getPorts().find(p => p.id === route.port);
+        this.routes[agentId] = {
+            port: route.port,
+            name: port?.name || route.name || '',
+            channel: Math.min(16, Math.max(1, parseInt(route.channel) || 1)),
+            audio: route.audio !== false
+        };
+
+        if (previous && (previous.port !== route.port || previous.channel !== this.routes[agentId].channel)) {
+            this.allNotesOff(previous);
+        }
+    }
+
+    /**
+     * Restore saved routes - ports are matched by id, then by name
+     */
+    setRoutes(routes) {
+        this.routes = {};
+        Object.entries(routes || {}).forEach(([agentId, route]) => {
+            const port = this.getPorts().find(p => p.id === route.port) ||
+                this.getPorts().find(p => p.name === route.name);
+            this.setRoute(agentId, { ...route, port: port?.id || route.port });
+        });
+    }
+
+    getRoute(agentId) {
+        return this.routes[agentId] || null;
+    }
+
+    /**
+     * Does the agent still sound through the built-in audio?
+     */
+    playsAudio(agentId) {
+        return this.routes[agentId]?.audio !== false;
+    }
+
+    /**
+     * Follow what the engine is playing: each routed slot's last good pattern, as compiled by Strudel
+     */
+    update() {
+        this.engine.slots.forEach((slot, agentId) => {
+            const pattern = this.routes[agentId] && slot.active ? slot.pattern : null;
+            if (!pattern) {
+                if (this.patterns.has(agentId)) this.allNotesOff(this.routes[agentId]);
+                this.patterns.delete(agentId);
+                return;
+            }
+            this.patterns.set(agentId, pattern);
+        });
+        [...this.patterns.keys()].forEach(agentId => {
+            if (!this.engine.slots.has(agentId)) this.patterns.delete(agentId);
+        });
+
+        if (this.engine.isPlaying && Object.keys(this.routes).length > 0) {
+            this.start();
+        }
+    }
+
+    /**
+     * Start sending: MIDI start, then clock and notes from a lookahead timer
+     */
+    start() {
+        if (this.timer || !this.access) return;
+
+        this.scheduledTo = this.engine.getCycle();
+        this.eachPort(port => port.send([0xfa]));
+        this.timer = setInterval(() => this.tick(), CONFIG.MIDI.intervalMs);
+        this.tick();
+    }
+
+    /**
+     * Stop sending: MIDI stop and all notes off
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.scheduledTo = null;
+
+        this.eachPort(port => port.send([0xfc]));
+        Object.values(this.routes).forEach(route => this.allNotesOff(route));
+    }
+
+    /**
+     * Send everything due before the lookahead horizon
+     */
+    tick() {
+        const engine = this.engine;
+        if (!engine.isPlaying) {
+            this.stop();
+            return;
+        }
+
+        const cycle = engine.getCycle();
+        const from = Math.max(this.scheduledTo, cycle);
+        const to = cycle + CONFIG.MIDI.lookaheadMs / 1000 * engine.cps;
+        if (to <= from) return;
+
+        const timeOf = (c) => engine.timeOfCycle(c);
+
+        this.patterns.forEach((pattern, agentId) => {
+            const route = this.routes[agentId];
+            const port = this.access.outputs.get(route?.port);
+            if (!port) return;
+
+            const channel = route.channel - 1;
+            StrudelEngine.events(pattern, from, to).forEach(event => {
+                const note = MidiExport.noteFor(event.value);
+                if (!note) return;
+
+                const end = event.begin + (event.end - event.begin) * note.clip;
+                port.send([0x90 | channel, note.key, note.velocity], timeOf(event.begin));
+                port.send([0x80 | channel, note.key, 0], timeOf(end) - 1);
+            });
+        });
+
+        // Clock: 24 pulses per beat
+        const pulsesPerCycle = CONFIG.MIDI.clockPulsesPerBeat * engine.beatsPerCycle;
+        for (let pulse = Math.ceil(from * pulsesPerCycle - 1e-9); pulse < to * pulsesPerCycle; pulse++) {
+            const time = timeOf(pulse / pulsesPerCycle);
+            this.eachPort(port => port.send([0xf8], time));
+        }
+
+        this.scheduledTo = to;
+    }
+
+    /**
+     * Run fn for every port at least one agent is routed to
+     */
+    eachPort(fn) {
+        if (!this.access) return;
+
+        new Set(Object.values(this.routes).map(route => route.port)).forEach(id => {
+            const port = this.access.outputs.get(id);
+            if (port) fn(port);
+        });
+    }
+
+    /**
+     * All Notes Off (CC 123) on a route's channel
+     */
+    allNotesOff(route) {
+        const port = route && this.access?.outputs.get(route.port);
+        if (port) port.send([0xb0 | (route.channel - 1), 123, 0]);
+    }
+}
+
+// Export
+window.MidiOutput = MidiOutput;
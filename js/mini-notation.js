@@ -0,0 +1,166 @@
+/**
+ * STRUDEL BAND - Mini-Notation
+ * A small mini-notation parser for mock mode without Strudel: sequences, rests (~),
+ * [subsequences], <alternation>, "," for parallel layers, and *n / /n speed changes
+ */
+
+class MiniNotation {
+    /**
+     * Parse a mini-notation string into a node tree - key is the control the atoms set
+     * (s, sound, note or n). Throws on syntax the mock does not understand
+     */
+    static parse(source, key = 's') {
+        const tokens = String(source).match(/[[\]<>,*/~]|[^\s[\]<>,*/~]+/g) || [];
+        let index = 0;
+
+        const fail = (message) => {
+            throw new Error(`Mini-notation "${source}": ${message}`);
+        };
+
+        const layers = (close) => {
+            const result = [sequence(close)];
+            while (tokens[index] === ',') {
+                index++;
+                result.push(sequence(close));
+            }
+            return result;
+        };
+
+        const sequence = (close) => {
+            const steps = [];
+            while (index < tokens.length && tokens[index] !== ',' && tokens[index] !== close) {
+                steps.push(step());
+            }
+            if (steps.length === 0) fail('empty sequence');
+            return steps;
+        };
+
+        const step = () => {
+            let node = term();
+            while (tokens[index] === '*' || tokens[index] === '/') {
+                const operator = tokens[index++];
+                const factor = Number(tokens[index++]);
+                if (!(factor > 0)) fail(`${operator} needs a positive number`);
+                node = { type: 'fast', node, factor: operator === '*' ? factor : 1 / factor };
+            }
+            return node;
+        };
+
+        const group = (close, build) => {
+            const result = layers(close);
+            if (tokens[index++] !== close) fail(`missing "${close}"`);
+            return result.length === 1 ? build(result[0]) : { type: 'stack', layers: result.map(build) };
+        };
+
+        const term = () => {
+            const token = tokens[index++];
+            if (token === '~') return { type: 'rest' };
+            if (token === '[') return group(']', steps => ({ type: 'sequence', steps }));
+            if (token === '<') return group('>', items => ({ type: 'alternate', items }));
+            if (token === undefined || /^[\]>,*/]$/.test(token)) fail(`unexpected ${token ?? 'end'}`);
+            if (!/^[\w#.:-]+$/.test(token) || token === '_') fail(`"${token}" is not supported`);
+            return { type: 'atom', value: MiniNotation.value(token, key) };
+        };
+
+        const result = layers(null);
+        if (index < tokens.length) fail(`unexpected ${tokens[index]}`);
+        return result.length === 1
+            ? { type: 'sequence', steps: result[0] }
+            : { type: 'stack', layers: result.map(steps => ({ type: 'sequence', steps })) };
+    }
+
+    /**
+     * Control value of one atom, as Strudel reads it: numbers are numbers, "bd:3" is s bd, n 3
+     */
+    static value(token, key) {
+        const number = /^-?\d+(\.\d+)?$/.test(token) ? Number(token) : null;
+        if (key === 's' || key === 'sound') {
+            const [s, n] = token.split(':');
+            return n === undefined ? { s } : { s, n: Number(n) };
+        }
+        return { [key]: number ?? token };
+    }
+
+    /**
+     * Events of a node in one cycle: [{ begin, end, value }] - times are absolute cycles,
+     * events belong to the cycle their onset falls in
+     */
+    static render(node, cycle) {
+        switch (node.type) {
+            case 'atom':
+                return [{ begin: cycle, end: cycle + 1, value: node.value }];
+            case 'rest':
+                return [];
+            case 'stack':
+                return node.layers.flatMap(layer => MiniNotation.render(layer, cycle));
+            case 'sequence': {
+                const count = node.steps.length;
+                return node.steps.flatMap((step, i) =>
+                    MiniNotation.render(step, cycle).map(event => ({
+                        ...event,
+                        begin: cycle + (i + event.begin - cycle) / count,
+                        end: cycle + (i + event.end - cycle) / count
+                    }))
+                );
+            }
+            case 'alternate': {
+                // One item per cycle, each item counting only the cycles it plays in
+                const count = node.items.length;
+                const inner = Math.floor(cycle / count);
+                const item = node.items[((cycle % count) + count) % count];
+                return MiniNotation.render(item, inner).map(event => ({
+                    ...event,
+                    begin: event.begin - inner + cycle,
+                    end: event.end - inner + cycle
+                }));
+            }
+            case 'fast': {
+                const events = [];
+                const first = Math.floor(cycle * node.factor + 1e-9);
+                const last = Math.ceil((cycle + 1) * node.factor - 1e-9);
+                for (let inner = first; inner < last; inner++) {
+                    MiniNotation.render(node.node, inner).forEach(event => {
+                        const begin = event.begin / node.factor;
+                        if (begin >= cycle - 1e-9 && begin < cycle + 1 - 1e-9) {
+                            events.push({ ...event, begin, end: event.end / node.factor });
+                        }
+                    });
+                }
+                return events;
+            }
+            case 'set': {
+                // Structure from the left, values from the right at each onset (like Strudel's .s(), .note())
+                const values = MiniNotation.render(node.values, cycle);
+                return MiniNotation.render(node.node, cycle).flatMap(event =>
+                    values
+                        .filter(other => other.begin <= event.begin + 1e-9 && event.begin < other.end - 1e-9)
+                        .map(other => ({ ...event, value: { ...event.value, ...other.value } }))
+                );
+            }
+            default:
+                throw new Error(`Unknown mini-notation node: ${node.type}`);
+        }
+    }
+
+    /**
+     * MIDI note number of an event value, like Strudel's valueToMidi - null without note or freq
+     */
+    static valueToMidi(value) {
+        if (typeof value?.freq === 'number') {
+            return 12 * Math.log2(value.freq / 440) + 69;
+        }
+        if (typeof value?.note === 'number') return value.note;
+        if (typeof value?.note !== 'string') return null;
+
+        const match = /^([a-gA-G])([#bsf]*)(-?\d*)$/.exec(value.note);
+        if (!match) return null;
+
+        const chroma = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }[match[1].toLowerCase()];
+        const offset = [...match[2]].reduce((sum, char) => sum + (char === '#' || char === 's' ? 1 : -1), 0);
+        const octave = match[3] ? Number(match[3]) : 3;
+        return (octave + 1) * 12 + chroma + offset;
+    }
+}
+
+// Export
+window.MiniNotation = MiniNotation;
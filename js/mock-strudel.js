@@ -0,0 +1,160 @@
+/**
+ * STRUDEL BAND - Mock Strudel
+ * Stands in for Strudel's scheduler without audio: plays the compiled slot patterns and
+ * records a deterministic timeline of the events it would schedule. Patterns are compiled by
+ * Strudel when it is loaded, else by MockStrudel.compile
+ */
+
+class MockStrudel {
+    constructor() {
+        // Playing patterns: [{ agent, pattern }]
+        this.patterns = null;
+        this.cps = CONFIG.STRUDEL.defaultTempo / 60 / CONFIG.STRUDEL.beatsPerCycle;
+
+        // Virtual clock: events are recorded up to this cycle; time is seconds since the first play
+        this.cycle = 0;
+        this.time = 0;
+
+        // Recorded events: [{ time, cycle, duration, agent, sound, note, value }]
+        this.timeline = [];
+    }
+
+    get isPlaying() {
+        return this.patterns !== null;
+    }
+
+    /**
+     * Play compiled patterns, [{ agent, pattern }], in place of the current ones
+     * from is the cycle they take over on - the current ones are recorded up to it first
+     */
+    play(patterns, from = null) {
+        // Starting from silence restarts at cycle 0, like the engine's clock
+        if (!this.isPlaying) {
+            this.cycle = 0;
+        } else if (from !== null) {
+            this.advanceTo(from);
+        }
+        this.patterns = patterns;
+    }
+
+    hush() {
+        this.patterns = null;
+    }
+
+    setcps(cps) {
+        if (cps > 0) this.cps = cps;
+    }
+
+    /**
+     * Record the events of the next few cycles - returns the new events
+     */
+    advance(cycles) {
+        return this.advanceTo(this.cycle + cycles);
+    }
+
+    /**
+     * Record events up to a cycle - returns the new events
+     */
+    advanceTo(cycle) {
+        if (!this.isPlaying || cycle <= this.cycle) return [];
+
+        const from = this.cycle;
+        const events = this.patterns.flatMap(({ agent, pattern }) =>
+            StrudelEngine.events(pattern, from, cycle).map(event => this.toEntry(event, agent, from))
+        ).sort((a, b) => a.cycle - b.cycle || String(a.agent).localeCompare(String(b.agent)));
+
+        this.time += (cycle - from) / this.cps;
+        this.cycle = cycle;
+
+        this.timeline.push(...events);
+        if (this.timeline.length > CONFIG.STRUDEL.mockTimelineLimit) {
+            this.timeline.splice(0, this.timeline.length - CONFIG.STRUDEL.mockTimelineLimit);
+        }
+        return events;
+    }
+
+    /**
+     * One timeline entry - from is the cycle at this.time
+     */
+    toEntry(event, agent, from) {
+        const value = event.value;
+        const note = StrudelEngine.midiNote(value);
+
+        return {
+            time: Number((this.time + (event.begin - from) / this.cps).toFixed(6)),
+            cycle: event.begin,
+            duration: Number(((event.end - event.begin) / this.cps).toFixed(6)),
+            agent,
+            sound: value.s ?? (note !== null ? 'triangle' : null),
+            note: note === null ? null : Math.round(note * 100) / 100,
+            value
+        };
+    }
+
+    /**
+     * Recorded events, optionally only one agent's
+     */
+    getTimeline(agent = null) {
+        return agent === null ? [...this.timeline] : this.timeline.filter(event => event.agent === agent);
+    }
+
+    clear() {
+        this.timeline = [];
+    }
+
+    /**
+     * Compile code without Strudel: each s/sound/note/n call with a mini-notation string starts
+     * a layer, and .s() .note() .n() .fast() .slow() chained to it apply to that layer.
+     * Other functions and methods are left out - the timeline keeps rhythm and pitch, not effects.
+     * Returns a pattern the mock can play ({ queryArc }), throws on mini-notation it can't read
+     */
+    static compile(code) {
+        const calls = /(\.\s*)?\b(s|sound|note|n|fast|slow)\s*\(\s*(?:"([^"]*)"|'([^']*)'|`([^`]*)`|(-?\d+(?:\.\d+)?))\s*\)/g;
+        const layers = [];
+        let layer = null;
+
+        for (const [, chained, name, ...args] of String(code).matchAll(calls)) {
+            const text = args.slice(0, 3).find(arg => arg !== undefined);
+            const number = args[3] === undefined ? null : Number(args[3]);
+
+            if (name === 'fast' || name === 'slow') {
+                if (chained && layer && number > 0) {
+                    layer.node = { type: 'fast', node: layer.node, factor: name === 'fast' ? number : 1 / number };
+                }
+                continue;
+            }
+            if (text === undefined) continue;
+
+            const node = MiniNotation.parse(text, name === 'sound' ? 's' : name);
+            if (chained && layer) {
+                layer.node = { type: 'set', node: layer.node, values: node };
+            } else {
+                layer = { node };
+                layers.push(layer);
+            }
+        }
+
+        return {
+            // Onsets between two cycles, shaped like Strudel's haps
+            queryArc: (from, to) => {
+                const haps = [];
+                for (let cycle = Math.floor(from); cycle < to; cycle++) {
+                    layers.forEach(({ node }) => {
+                        MiniNotation.render(node, cycle)
+                            .filter(event => event.begin >= from && event.begin < to)
+                            .forEach(event => haps.push({
+                                whole: { begin: event.begin, end: event.end },
+                                part: { begin: event.begin, end: Math.min(event.end, to) },
+                                value: event.value,
+                                hasOnset: () => true
+                            }));
+                    });
+                }
+                return haps;
+            }
+        };
+    }
+}
+
+// Export
+window.MockStrudel = MockStrudel;
@@ -0,0 +1,137 @@
+/**
+ * STRUDEL BAND - Musical Context
+ * Band-wide key, scale, chords, tempo, meter and energy shared by every agent
+ */
+
+class MusicalContext {
+    constructor(initial = CONFIG.MUSIC.defaultContext) {
+        this.key = initial.key;
+        this.scale = initial.scale;
+        this.chords = [...initial.chords];
+        this.tempo = initial.tempo;
+        this.meter = initial.meter;
+        this.energy = initial.energy;
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    /**
+     * Update one or more fields, ignoring invalid values
+     * Returns the fields that actually changed
+     */
+    update(changes = {}) {
+        const applied = {};
+
+        const key = this.normalizeKey(changes.key);
+        if (key && key !== this.key) {
+            applied.key = this.key = key;
+        }
+
+        const scale = typeof changes.scale === 'string' ? changes.scale.trim().toLowerCase() : null;
+        if (scale && CONFIG.MUSIC.scales.includes(scale) && scale !== this.scale) {
+            applied.scale = this.scale = scale;
+        }
+
+        const chords = this.normalizeChords(changes.chords);
+        if (chords && chords.join(' ') !== this.chords.join(' ')) {
+            applied.chords = this.chords = chords;
+        }
+
+        const tempo = parseFloat(changes.tempo);
+        if (tempo >= 40 && tempo <= 300 && tempo !== this.tempo) {
+            applied.tempo = this.tempo = Math.round(tempo);
+        }
+
+        const meter = typeof changes.meter === 'string' ? changes.meter.trim() : null;
+        if (meter && /^\d{1,2}\/(2|4|8|16)$/.test(meter) && meter !== this.meter) {
+            applied.meter = this.meter = meter;
+        }
+
+        const energy = parseInt(changes.energy);
+        if (energy >= 1 && energy <= 10 && energy !== this.energy) {
+            applied.energy = this.energy = energy;
+        }
+
+        if (Object.keys(applied).length > 0 && this.onChange) {
+            this.onChange(applied, this);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Normalize a key name like "c#", "Db" or "f sharp" to the spelling in CONFIG.MUSIC.keys
+     */
+    normalizeKey(key) {
+        if (typeof key !== 'string') return null;
+
+        const match = key.trim().match(/^([a-gA-G])\s*(#|b|sharp|flat)?$/i);
+        if (!match) return null;
+
+        // Map through the pitch class so enharmonics (Db/C#, Cb/B) share one spelling
+        const naturals = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        const shift = { '#': 1, 'sharp': 1, 'b': -1, 'flat': -1 }[(match[2] || '').toLowerCase()] || 0;
+        const pitchClass = (naturals[match[1].toUpperCase()] + shift + 12) % 12;
+        return CONFIG.MUSIC.keys[pitchClass];
+    }
+
+    /**
+     * Normalize a chord progression given as an array or "Cm Ab Eb Bb" string
+     */
+    normalizeChords(chords) {
+        if (typeof chords === 'string') {
+            chords = chords.split(/[\s,|-]+/);
+        }
+        if (!Array.isArray(chords)) return null;
+
+        const valid = chords
+            .map(chord => String(chord).trim())
+            .filter(chord => /^[A-G][#b]?[a-zA-Z0-9#b+°ø]*(\/[A-G][#b]?)?$/.test(chord));
+
+        return valid.length > 0 ? valid.slice(0, 16) : null;
+    }
+
+    /**
+     * Strudel scale name, e.g. "C:minor" or "C:minor:pentatonic"
+     */
+    get strudelScale() {
+        return `${this.key}:${this.scale.replace(/ /g, ':')}`;
+    }
+
+    /**
+     * Short label for the UI
+     */
+    describe() {
+        return `${this.key} ${this.scale} · ${this.chords.join('-')} · ${this.meter}`;
+    }
+
+    /**
+     * Prompt block injected into every agent generation
+     */
+    toPrompt() {
+        return `BAND MUSICAL CONTEXT (everyone must conform):
+- Key/scale: ${this.key} ${this.scale} (in Strudel: .scale("${this.strudelScale}") with n() degrees, or note() names from this scale)
+- Chord progression: ${this.chords.join(' | ')} (one chord per cycle, looping)
+- Tempo: ${this.tempo} BPM (the band sets tempo - do not add .cpm() or .bpm())
+- Meter: ${this.meter}
+- Energy: ${this.energy}/10`;
+    }
+
+    /**
+     * Plain object for the director prompt and persistence
+     */
+    toJSON() {
+        return {
+            key: this.key,
+            scale: this.scale,
+            chords: [...this.chords],
+            tempo: this.tempo,
+            meter: this.meter,
+            energy: this.energy
+        };
+    }
+}
+
+// Export
+window.MusicalContext = MusicalContext;
@@ -0,0 +1,221 @@
+/**
+ * STRUDEL BAND - Offline Renderer
+ * Renders the band's patterns to a WAV file faster than real time: Strudel compiles each part
+ * and superdough plays its haps into an OfflineAudioContext, with the same sounds as live playback
+ */
+
+class OfflineRenderer {
+    constructor(engine, samples) {
+        this.engine = engine;
+        this.samples = samples;
+    }
+
+    /**
+     * Render parts played back to back: [{ codes: [{ id, code }], cycles }]
+     * Returns { buffer, events, warnings }
+     */
+    async render(parts, options = {}) {
+        if (!window.strudel) {
+            throw new Error('Strudel is not loaded');
+        }
+
+        const sampleRate = options.sampleRate || CONFIG.RENDER.sampleRates[0];
+        const cps = this.engine.cps;
+
+        const { haps, cycles, warnings } = await this.collectHaps(parts, cps);
+        if (haps.length === 0) {
+            throw new Error('Nothing to render - no pattern produced any events');
+        }
+
+        const duration = cycles / cps + CONFIG.RENDER.tailSeconds;
+        const frame = await this.createFrame();
+        const strudel = frame.contentWindow.strudel;
+        const ctx = new frame.contentWindow.OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        let buffer;
+        const errors = new Set();
+        try {
+            // The steps of Strudel's renderPatternAudio: the controller is created for ctx on first use
+            strudel.setAudioContext(ctx);
+            strudel.getSuperdoughAudioController();
+            await strudel.initAudio();
+            await Promise.all([strudel.registerSynthSounds(), ...this.samples.sources.map(source => strudel.samples(source))]);
+
+            for (const hap of haps) {
+                const error = await this.play(strudel, hap, cps);
+                if (error) errors.add(error);
+            }
+
+            console.log(`[OfflineRenderer] Rendering ${haps.length} events, ${duration.toFixed(1)}s at ${sampleRate} Hz`);
+            buffer = await ctx.startRendering();
+        } finally {
+            strudel.setAudioContext(null);
+            strudel.setSuperdoughAudioController(null);
+            strudel.resetGlobalEffects();
+            frame.remove();
+        }
+
+        errors.forEach(error => warnings.push(error));
+        if (this.limit(buffer)) {
+            warnings.push('Output was turned down to avoid clipping');
+        }
+
+        return { buffer, events: haps.length, warnings };
+    }
+
+    /**
+     * A hidden frame with a Strudel of its own, loaded from the same script as the page's
+     * superdough keeps its audio context, output and node pools in module state, so rendering
+     * in the page's Strudel would mix nodes of two contexts and disturb live playback
+     */
+    createFrame() {
+        const script = document.querySelector('script[src*="@strudel/web"]');
+        if (!script) {
+            return Promise.reject(new Error('Strudel is not loaded'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.hidden = true;
+            frame.onload = () => {
+                if (frame.contentWindow.strudel) {
+                    resolve(frame);
+                } else {
+                    frame.remove();
+                    reject(new Error('Strudel failed to load for rendering'));
+                }
+            };
+            frame.srcdoc = `<script src="${script.src}"></script>`;
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Compile every part's code and list its onset haps on one timeline, in onset order
+     * (superdough's cut groups depend on it). Each agent gets its own orbit, as when playing live
+     */
+    async collectHaps(parts, cps) {
+        const haps = [];
+        const warnings = [];
+        const orbits = new Map();
+        let offset = 0;
+
+        for (const part of parts) {
+            for (const { id, code } of part.codes) {
+                if (!orbits.has(id)) orbits.set(id, orbits.size + 1);
+
+                let pattern;
+                try {
+                    pattern = await this.engine.compile(code);
+                } catch (error) {
+                    warnings.push(`${id}: ${error.message}`);
+                    continue;
+                }
+                if (!pattern) throw new Error('Strudel is not loaded');
+
+                haps.push(...pattern.orbit(orbits.get(id)).queryArc(offset, offset + part.cycles, { _cps: cps }).filter(hap => hap.hasOnset()));
+            }
+            offset += part.cycles;
+        }
+
+        haps.sort((a, b) => a.whole.begin.valueOf() - b.whole.begin.valueOf());
+        return { haps, cycles: offset, warnings };
+    }
+
+    /**
+     * Hand one hap to the frame's superdough - returns the error message when it could not be played
+     */
+    async play(strudel, hap, cps) {
+        const begin = hap.whole.begin.valueOf();
+
+        try {
+            hap.ensureObjectValue();
+            await strudel.superdough({ ...hap.value }, begin / cps, hap.duration / cps, cps, begin);
+            return null;
+        } catch (error) {
+            console.warn('[OfflineRenderer] Event failed:', error.message);
+            return error.message;
+        }
+    }
+
+    /**
+     * Scale the buffer down if it clips - returns true when it did
+     */
+    limit(buffer) {
+        let peak = 0;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+        }
+        if (peak <= 1) return false;
+
+        const gain = 0.98 / peak;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        }
+        return true;
+    }
+
+    // ==================== WAV ====================
+
+    /**
+     * 16-bit PCM WAV file from an AudioBuffer
+     */
+    static encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const dataSize = frames * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, data[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export
+window.OfflineRenderer = OfflineRenderer;
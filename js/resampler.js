@@ -0,0 +1,152 @@
+/**
+ * STRUDEL BAND - Resampler
+ * Windowed-sinc (Kaiser) sample rate converter for streaming audio between any two rates,
+ * low-pass filtered so content above the target Nyquist doesn't alias into the result
+ */
+
+class Resampler {
+    constructor(fromRate, toRate, options = {}) {
+        const settings = { ...CONFIG.AUDIO.resampler, ...options };
+
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+
+        // Input samples per output sample
+        this.step = fromRate / toRate;
+
+        // Cutoff relative to the input Nyquist: the lower of the two rates, minus some room for the transition band
+        this.cutoff = Math.min(1, toRate / fromRate) * settings.rolloff;
+
+        // Kernel reach on each side, in input samples
+        this.halfWidth = Math.ceil(settings.zeroCrossings / this.cutoff);
+        this.phases = settings.phases;
+        this.table = Resampler.buildTable(this.cutoff, this.halfWidth, this.phases, settings.kaiserBeta);
+
+        this.reset();
+    }
+
+    /**
+     * Forget buffered input, e.g. after a gap in the stream
+     */
+    reset() {
+        // Zeros before the first sample, so output 0 lines up with input 0
+        this.history = new Float32Array(this.halfWidth - 1);
+        this.position = this.halfWidth - 1;
+    }
+
+    /**
+     * Resample the next chunk of a stream - output lags the input by about halfWidth samples,
+     * which are held back until the samples after them arrive
+     */
+    process(input) {
+        if (this.fromRate === this.toRate) return Float32Array.from(input);
+
+        const buffer = new Float32Array(this.history.length + input.length);
+        buffer.set(this.history);
+        buffer.set(input, this.history.length);
+
+        const taps = this.halfWidth * 2;
+        const count = Math.max(0, Math.ceil((buffer.length - this.halfWidth - this.position) / this.step));
+        const output = new Float32Array(count);
+
+        let position = this.position;
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(position);
+            const phase = (position - index) * this.phases;
+            const row = Math.floor(phase);
+            const blend = phase - row;
+            const lower = this.table[row];
+            const upper = this.table[row + 1];
+            const first = index - this.halfWidth + 1;
+
+            let sum = 0;
+            for (let k = 0; k < taps; k++) {
+                sum += buffer[first + k] * (lower[k] + (upper[k] - lower[k]) * blend);
+            }
+            output[i] = sum;
+            position += this.step;
+        }
+
+        // Keep what the next outputs still reach back to
+        const keepFrom = Math.floor(position) - this.halfWidth + 1;
+        this.history = buffer.slice(keepFrom);
+        this.position = position - keepFrom;
+
+        return output;
+    }
+
+    /**
+     * Emit the held-back tail of the stream and reset
+     */
+    flush() {
+        const output = this.process(new Float32Array(this.halfWidth));
+        this.reset();
+        return output;
+    }
+
+    /**
+     * Resample a whole buffer in one go - output length is input length scaled by the rate ratio
+     */
+    static resample(input, fromRate, toRate, options = {}) {
+        if (fromRate === toRate) return Float32Array.from(input);
+
+        const resampler = new Resampler(fromRate, toRate, options);
+        const head = resampler.process(input);
+        const tail = resampler.flush();
+        const length = Math.round(input.length * toRate / fromRate);
+
+        const output = new Float32Array(length);
+        output.set(head.subarray(0, length));
+        if (head.length < length) output.set(tail.subarray(0, length - head.length), head.length);
+        return output;
+    }
+
+    /**
+     * Kernel for each fractional offset: phases + 1 rows of 2 * halfWidth taps,
+     * each row normalised to unity gain at DC
+     */
+    static buildTable(cutoff, halfWidth, phases, beta) {
+        const norm = Resampler.besselI0(beta);
+        const table = [];
+
+        for (let p = 0; p <= phases; p++) {
+            const fraction = p / phases;
+            const row = new Float32Array(halfWidth * 2);
+            let sum = 0;
+
+            for (let k = 0; k < row.length; k++) {
+                // Distance from the output position to input tap k
+                const x = k - halfWidth + 1 - fraction;
+                const ratio = x / halfWidth;
+                const window = Math.abs(ratio) >= 1 ? 0 : Resampler.besselI0(beta * Math.sqrt(1 - ratio * ratio)) / norm;
+                const t = Math.PI * cutoff * x;
+                const sinc = t === 0 ? 1 : Math.sin(t) / t;
+
+                row[k] = cutoff * sinc * window;
+                sum += row[k];
+            }
+
+            for (let k = 0; k < row.length; k++) row[k] /= sum;
+            table.push(row);
+        }
+
+        return table;
+    }
+
+    /**
+     * Zeroth-order modified Bessel function of the first kind (for the Kaiser window)
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+}
+
+// Export
+window.Resampler = Resampler;
@@ -0,0 +1,130 @@
+/**
+ * STRUDEL BAND - Roster
+ * Which agents are in the band, with their prompts, samples and colors
+ * Starts from CONFIG.AGENTS and is saved to localStorage when edited
+ */
+
+class Roster {
+    constructor() {
+        this.members = this.load();
+    }
+
+    /**
+     * Default band built from CONFIG.AGENTS
+     */
+    static defaults() {
+        return Object.entries(CONFIG.AGENTS).map(([id, config]) => ({
+            id,
+            type: id,
+            ...config
+        }));
+    }
+
+    /**
+     * Load the roster from localStorage, falling back to the default band
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('band_roster') || 'null');
+            if (Array.isArray(stored) && stored.length > 0) {
+                const members = this.normalize(stored);
+                if (members.length > 0) return members;
+            }
+        } catch (e) {
+            console.warn('[Roster] Invalid stored roster, using defaults:', e);
+        }
+
+        return Roster.defaults();
+    }
+
+    /**
+     * Persist the roster to localStorage
+     */
+    save() {
+        localStorage.setItem('band_roster', JSON.stringify(this.members));
+    }
+
+    /**
+     * All members in stage order
+     */
+    list() {
+        return this.members.map(member => ({ ...member }));
+    }
+
+    /**
+     * Get a member by id
+     */
+    get(id) {
+        return this.members.find(member => member.id === id) || null;
+    }
+
+    /**
+     * Replace the whole roster (e.g. from the settings editor)
+     * Returns the normalized members
+     */
+    set(members) {
+        const normalized = this.normalize(members);
+        if (normalized.length === 0) {
+            throw new Error('The band needs at least one agent');
+        }
+
+        this.members = normalized;
+        this.save();
+        return this.list();
+    }
+
+    /**
+     * Restore the default five-piece band
+     */
+    reset() {
+        localStorage.removeItem('band_roster');
+        this.members = Roster.defaults();
+        return this.list();
+    }
+
+    /**
+     * Fill in missing fields, derive ids and drop duplicates
+     */
+    normalize(members) {
+        const ids = new Set(CONFIG.ROSTER.reservedIds);
+
+        return members
+            .filter(member => member && (member.name || member.id))
+            .slice(0, CONFIG.ROSTER.maxAgents)
+            .map(member => {
+                const type = CONFIG.ROSTER.types.includes(member.type) ? member.type : 'fx';
+                const base = CONFIG.AGENTS[type];
+                const name = String(member.name || member.id).trim().toUpperCase().slice(0, 16);
+
+                const baseId = member.id || Roster.makeId(name);
+                let id = baseId;
+                for (let n = 2; ids.has(id); n++) {
+                    id = `${baseId}${n}`;
+                }
+                ids.add(id);
+
+                return {
+                    id,
+                    type,
+                    name,
+                    fullName: member.fullName || name,
+                    role: member.role || base.role,
+                    samples: member.samples || base.samples,
+                    color: /^#[0-9a-f]{6}$/i.test(member.color) ? member.color : base.color,
+                    personality: member.personality || base.personality,
+                    systemPrompt: member.systemPrompt || base.systemPrompt.replace(base.name, name),
+                    placeholder: member.placeholder || base.placeholder
+                };
+            });
+    }
+
+    /**
+     * Turn a display name into an id usable in element ids and "// @id:" requests
+     */
+    static makeId(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'agent';
+    }
+}
+
+// Export
+window.Roster = Roster;
@@ -0,0 +1,329 @@
+/**
+ * STRUDEL BAND - Sample Manager
+ * Knows which sample names are loaded (default banks, custom banks, a local folder),
+ * tells agents about them and fixes generated patterns that use missing samples
+ */
+
+// Dirt-Samples folders, assumed when the default bank's list can't be fetched
+const DEFAULT_SAMPLE_NAMES = `808 808bd 808cy 808hc 808ht 808lc 808lt 808mc 808mt 808oh 808sd 909 ab ade ades2 ades3
+ades4 alex alphabet amencutup armora arp arpy auto baa baa2 bass bass0 bass1 bass2 bass3 bassdm bassfoo battles bd
+bend bev bin birds birds3 bleep blip blue bottle breaks125 breaks152 breaks157 breaks165 breath bubble can casio cb
+cc chin circus clak click clubkick co coins control cosmicg cp cr crow d db diphone diphone2 dist dork2 dorkbot dr
+dr2 dr55 dr_few drum drumtraks e east electro1 em2 erk f feel feelfx fest fire flick fm foo future gab gabba
+gabbaloud gabbalouder glasstap glitch glitch2 gretsch gtr h hand hardcore hardkick haw hc hh hh27 hit hmm ho hoover
+house ht if ifdrums incoming industrial insect invaders jazz jungbass jungle juno jvbass kicklinn koy kurt latibro
+led less lighter linnhats lt made made2 mash mash2 metal miniyeah monsterb moog mouth mp3 msg mt mute newnotes
+noise noise2 notes numbers oc odx off outdoor pad padlong pebbles perc peri pluck popkick print proc procshort psr
+rave rave2 ravemono realclaps reverbkick rm rs sax sd seawolf sequential sf sheffield short sid sine sitar sn space
+speakspell speech speechless speedupdown stab stomp subroc3d sugar sundance tabla tabla2 tablex tacscan tech techno
+tink tok toys trump ul ulgab uxay v voodoo wind wobble world xmas yeah`.split(/\s+/);
+
+class SampleManager {
+    constructor() {
+        // { id, name, source: 'default' | 'url' | 'folder', url, names, status, error }
+        this.banks = [];
+        this.names = new Set(CONFIG.SAMPLES.builtin);
+        this.sandbox = new CodeSandbox();
+        this.nextId = 1;
+
+        // Until the default banks are read, every name is accepted
+        this.ready = false;
+
+        // Everything handed to samples(), so another Strudel (the offline renderer's) can load it too
+        this.sources = [];
+
+        // Callbacks
+        this.onChange = null;       // (banks)
+    }
+
+    /**
+     * Load the default banks and the user's saved banks
+     */
+    async init() {
+        const banks = [
+            ...CONFIG.SAMPLES.banks.map(bank => this.createBank({ ...bank, source: 'default' })),
+            ...this.loadCustomBanks().map(bank => this.createBank({ ...bank, source: 'url' }))
+        ];
+        await Promise.all(banks.map(bank => this.loadBank(bank)));
+        this.ready = true;
+        console.log(`[SampleManager] ${this.names.size} sounds available`);
+    }
+
+    createBank({ name, url, source, fallback }) {
+        const bank = { id: this.nextId++, name, url, source, fallback: Boolean(fallback), names: [], status: 'loading', error: null };
+        this.banks.push(bank);
+        return bank;
+    }
+
+    /**
+     * Custom bank URLs from localStorage
+     */
+    loadCustomBanks() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('sample_banks') || '[]');
+            return Array.isArray(stored) ? stored.filter(bank => bank?.url) : [];
+        } catch (e) {
+            console.warn('[SampleManager] Invalid stored banks, ignoring:', e);
+            return [];
+        }
+    }
+
+    saveCustomBanks() {
+        const custom = this.banks.filter(bank => bank.source === 'url').map(({ name, url }) => ({ name, url }));
+        localStorage.setItem('sample_banks', JSON.stringify(custom));
+    }
+
+    /**
+     * Add a bank by URL ("github:user/repo" or a strudel.json URL) and save it
+     */
+    async addBank(url, name = '') {
+        const trimmed = String(url || '').trim();
+        if (!trimmed) throw new Error('Enter a sample bank URL');
+        if (this.banks.some(bank => bank.url === trimmed)) throw new Error('That bank is already loaded');
+
+        const bank = this.createBank({ name: name || trimmed.replace(/^github:/, ''), url: trimmed, source: 'url' });
+        this.saveCustomBanks();
+        await this.loadBank(bank);
+        return bank;
+    }
+
+    /**
+     * Forget a custom bank (its names stop counting as available)
+     */
+    removeBank(id) {
+        this.banks = this.banks.filter(bank => bank.id !== id || bank.source === 'default');
+        this.saveCustomBanks();
+        this.updateNames();
+    }
+
+    /**
+     * Read a bank's sample names from its strudel.json and register the bank with Strudel
+     */
+    async loadBank(bank) {
+        bank.status = 'loading';
+        this.notify();
+
+        try {
+            const response = await fetch(SampleManager.manifestUrl(bank.url));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const map = await response.json();
+
+            // Default banks are only missing from the mock engine, where nothing plays anyway
+            if (!this.register(bank.url) && bank.source !== 'default') {
+                throw new Error('Strudel is not loaded');
+            }
+            bank.names = Object.keys(map).filter(name => !name.startsWith('_'));
+            bank.status = 'ready';
+            bank.error = null;
+        } catch (error) {
+            console.warn(`[SampleManager] Bank "${bank.name}" failed:`, error);
+            if (bank.fallback) {
+                bank.names = DEFAULT_SAMPLE_NAMES;
+                bank.status = 'fallback';
+            } else {
+                bank.names = [];
+                bank.status = 'error';
+            }
+            bank.error = error.message;
+        }
+
+        this.updateNames();
+    }
+
+    /**
+     * Load the user's own samples from a picked folder (an <input webkitdirectory> file list)
+     * Sub-folders become sample names ("kicks/01.wav" -> kicks:0); loose files use their file name
+     * Object URLs only live for this page, so the folder has to be picked again after a reload
+     */
+    loadFolder(files) {
+        const extensions = CONFIG.SAMPLES.audioExtensions;
+        const audio = [...files].filter(file => extensions.includes(file.name.split('.').pop().toLowerCase()));
+        if (audio.length === 0) throw new Error('No audio files in that folder');
+
+        const map = {};
+        audio
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name))
+            .forEach(file => {
+                const parts = (file.webkitRelativePath || file.name).split('/');
+                const raw = parts.length > 2 ? parts[1] : parts[parts.length - 1].replace(/\.[^.]+$/, '');
+                const name = raw.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+                if (!name) return;
+                (map[name] = map[name] || []).push(URL.createObjectURL(file));
+            });
+
+        const folder = (audio[0].webkitRelativePath || '').split('/')[0] || 'Local samples';
+        if (!this.register(map)) {
+            Object.values(map).flat().forEach(url => URL.revokeObjectURL(url));
+            throw new Error('Strudel is not loaded, so local samples can\'t be registered');
+        }
+
+        const bank = this.createBank({ name: folder, url: null, source: 'folder' });
+        bank.names = Object.keys(map);
+        bank.status = 'ready';
+        this.updateNames();
+        return bank;
+    }
+
+    /**
+     * Hand a sample map (URL or object) to Strudel's samples()
+     */
+    register(source) {
+        const samples = window.samples || window.strudel?.samples;
+        if (typeof samples !== 'function') return false;
+
+        samples(source);
+        this.sources.push(source);
+        return true;
+    }
+
+    updateNames() {
+        this.names = new Set([
+            ...CONFIG.SAMPLES.builtin,
+            ...this.banks.flatMap(bank => bank.names)
+        ]);
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.banks);
+    }
+
+    has(name) {
+        return this.names.has(name);
+    }
+
+    /**
+     * The available stand-in for a missing sample: a configured substitute, else a close spelling
+     */
+    substituteFor(name) {
+        const configured = CONFIG.SAMPLES.substitutes[name];
+        if (configured && this.has(configured)) return configured;
+        if (name.length < 3) return null;
+
+        let best = null;
+        let bestDistance = 3;
+        this.names.forEach(candidate => {
+            const distance = SampleManager.editDistance(name, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Swap missing samples in s()/sound() strings for available ones
+     * Returns { valid, code, substitutions: [[from, to]], error } - invalid when a name has no stand-in
+     * Code that doesn't parse is left to the code check; patterns using .bank() are left alone,
+     * their sample names depend on the bank
+     */
+    fix(code) {
+        const analysis = this.ready ? this.sandbox.analyze(code) : { valid: false };
+        if (!analysis.valid) {
+            return { valid: true, code, substitutions: [] };
+        }
+
+        const tokens = analysis.tokens;
+        if (tokens.some((token, i) => token.value === 'bank' && tokens[i - 1]?.value === '.')) {
+            return { valid: true, code, substitutions: [] };
+        }
+
+        const substitutions = new Map();
+        const missing = new Set();
+        const edits = [];
+
+        tokens.forEach((token, i) => {
+            const isSound = token.type === 'ident' && (token.value === 's' || token.value === 'sound');
+            const arg = tokens[i + 2];
+            if (!isSound || tokens[i + 1]?.value !== '(' || arg?.type !== 'str' || tokens[i + 3]?.value !== ')') return;
+
+            const value = arg.value.replace(/(^|[^\w:.])([A-Za-z_][\w]*)/g, (match, before, name) => {
+                if (this.has(name)) return match;
+
+                const substitute = this.substituteFor(name);
+                if (!substitute) {
+                    missing.add(name);
+                    return match;
+                }
+                substitutions.set(name, substitute);
+                return before + substitute;
+            });
+            if (value !== arg.value) {
+                edits.push({ start: arg.start + 1, end: arg.end - 1, value });
+            }
+        });
+
+        if (missing.size > 0) {
+            return {
+                valid: false,
+                code,
+                substitutions: [],
+                error: `unknown sample${missing.size > 1 ? 's' : ''} ${[...missing].map(name => `"${name}"`).join(', ')} - ` +
+                    `use only the available sounds`
+            };
+        }
+
+        const fixed = edits.reduceRight((text, edit) => text.slice(0, edit.start) + edit.value + text.slice(edit.end), code);
+        return { valid: true, code: fixed, substitutions: [...substitutions] };
+    }
+
+    /**
+     * An agent's configured sample list with missing names swapped or dropped
+     */
+    resolveList(list) {
+        return String(list || '').split(/\s*,\s*/).filter(Boolean).map(name => {
+            if (this.has(name)) return name;
+            return this.substituteFor(name);
+        }).filter((name, i, names) => name && names.indexOf(name) === i).join(', ');
+    }
+
+    /**
+     * Names from an agent's configured list that aren't loaded
+     */
+    missingFrom(list) {
+        return String(list || '').split(/\s*,\s*/).filter(name => name && !this.has(name));
+    }
+
+    /**
+     * Available sounds for agent prompts: built-in synths first, capped in length
+     */
+    describe() {
+        const builtin = CONFIG.SAMPLES.builtin;
+        const samples = [...this.names].filter(name => !builtin.includes(name)).sort();
+        const names = [...builtin, ...samples];
+        const limit = CONFIG.SAMPLES.promptLimit;
+
+        return names.length > limit
+            ? `${names.slice(0, limit).join(', ')} (+${names.length - limit} more)`
+            : names.join(', ');
+    }
+
+    /**
+     * strudel.json location for a bank URL
+     */
+    static manifestUrl(url) {
+        const github = /^github:([^/]+)\/([^/]+)(?:\/(.+))?$/.exec(url);
+        if (github) {
+            return `https://raw.githubusercontent.com/${github[1]}/${github[2]}/${github[3] || 'main'}/strudel.json`;
+        }
+        return url.endsWith('.json') ? url : `${url.replace(/\/$/, '')}/strudel.json`;
+    }
+
+    static editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+}
+
+// Export
+window.SampleManager = SampleManager;
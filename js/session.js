@@ -0,0 +1,67 @@
+/**
+ * STRUDEL BAND - Session Store
+ * Per-session settings (agent style, feedback, ...) kept in localStorage
+ */
+
+class SessionStore {
+    constructor(storageKey = 'band_session') {
+        this.storageKey = storageKey;
+        this.data = this.load();
+    }
+
+    /**
+     * Load the session from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            console.warn('[SessionStore] Invalid stored session, starting fresh:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the session to localStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+
+    /**
+     * Get a section of the session (e.g. 'agents')
+     */
+    get(section) {
+        return this.data[section] || {};
+    }
+
+    /**
+     * Merge changes into one entry of a section, e.g. update('agents', 'drums', { style: 0.2 })
+     */
+    update(section, key, changes) {
+        const entries = this.data[section] || {};
+        entries[key] = { ...entries[key], ...changes };
+        this.data[section] = entries;
+        this.save();
+    }
+
+    /**
+     * Replace a whole section
+     */
+    set(section, value) {
+        this.data[section] = value;
+        this.save();
+    }
+
+    /**
+     * Forget everything
+     */
+    clear() {
+        this.data = {};
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// Export
+window.SessionStore = SessionStore;
@@ -7,138 +7,454 @@ class StrudelEngine {
     constructor() {
         this.isPlaying = false;
         this.currentCode = '';
+        // Global tempo: every pattern follows it, agents can't set their own
         this.tempo = CONFIG.STRUDEL.defaultTempo;
+        this.beatsPerCycle = CONFIG.STRUDEL.beatsPerCycle;
+        this.beatsPerBar = 4;
+        this.lastError = null;
 
-        // Strudel functions (will be set after embed loads)
+        // Allowlist check for generated code before it is evaluated
+        this.sandbox = new CodeSandbox();
+
+        // Mock mode cycle clock - anchored when playback starts and on tempo changes
+        // (with Strudel the cycle comes from its scheduler)
+        this.clock = null;
+
+        // Per-agent pattern slots: id -> { label, good, candidate, submitted, error, active, audio,
+        // pattern, candidatePattern, orbit, output } - patterns are the compiled Strudel patterns of good
+        // and candidate; each slot plays on its own orbit so its output can be metered
+        this.slots = new Map();
+
+        // Evaluation is async - slot changes run one after another
+        this.evaluation = Promise.resolve();
+
+        // Launch quantization and the change waiting for its boundary
+        this.quantize = CONFIG.QUANTIZE.default;
+        this.pending = null;
+
+        // Strudel functions (set once @strudel/web is initialized)
+        this.repl = null;
         this.evaluate = null;
         this.hush = null;
+        this.setCps = null;
+        this.compiler = null;
+
+        // Strudel's repl reports evaluation errors through onEvalError instead of rejecting
+        this.evalError = null;
 
-        // Audio nodes for capture
-        this.audioContext = null;
-        this.masterNode = null;
+        // Mock mode (Strudel unavailable): event timeline instead of audio
+        this.mock = null;
+        this.mockTimer = null;
+        this.mockRealtime = false;
+
+        // Last code played as a plain string (replayed on tempo changes)
+        this.source = null;
 
         // Callbacks
         this.onPlay = null;
         this.onStop = null;
         this.onError = null;
         this.onEvaluate = null;
+        this.onSlotError = null;    // (id, error, lastGood) - error is null once the slot plays again
+        this.onQueue = null;        // (cycle) - a change is waiting for its boundary
+        this.onLaunch = null;       // (ok) - the queued change was evaluated
+        this.onTempoChange = null;  // (bpm)
     }
 
     /**
      * Initialize Strudel engine
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            // Wait for Strudel embed to load
-            const checkStrudel = () => {
-                if (typeof window.strudel !== 'undefined') {
-                    this.setupStrudelFunctions();
-                    resolve(true);
-                } else if (typeof window.evaluate !== 'undefined') {
-                    // Functions might be global
-                    this.evaluate = window.evaluate;
-                    this.hush = window.hush;
-                    resolve(true);
-                } else {
-                    // Keep checking
-                    setTimeout(checkStrudel, 100);
-                }
-            };
-
-            // Start checking after a short delay
-            setTimeout(checkStrudel, 500);
+        const strudel = window.strudel;
+        if (!strudel?.initStrudel) {
+            console.warn('[StrudelEngine] Strudel not loaded, using mock mode');
+            await this.setupMockMode();
+            return true;
+        }
 
-            // Timeout after 10 seconds
-            setTimeout(() => {
-                if (!this.evaluate) {
-                    console.warn('[StrudelEngine] Strudel not loaded, using mock mode');
-                    this.setupMockMode();
-                    resolve(true);
+        try {
+            this.repl = await strudel.initStrudel({
+                onEvalError: (error) => {
+                    this.evalError = error;
                 }
-            }, 10000);
-        });
+            });
+            this.setupStrudelFunctions(strudel);
+        } catch (error) {
+            console.warn('[StrudelEngine] Strudel failed to start, using mock mode:', error);
+            await this.setupMockMode();
+        }
+        return true;
     }
 
     /**
-     * Setup Strudel functions from embed
+     * Setup Strudel functions from @strudel/web
      */
-    setupStrudelFunctions() {
-        // The strudel embed exposes these globally
-        this.evaluate = window.evaluate || ((code) => {
-            console.log('[StrudelEngine] Would evaluate:', code);
-        });
+    setupStrudelFunctions(strudel) {
+        // A change waiting for a boundary is evaluated ahead of it - the pattern already
+        // playing keeps the cycles before the boundary, so the swap lands right on it
+        this.evaluate = async (code, patterns, from = null) => {
+            const previous = this.repl.scheduler.pattern;
+            const pattern = await strudel.evaluate(code);
+            if (!pattern || from === null || !previous || !this.isPlaying) return pattern;
+            return this.repl.setPattern(StrudelEngine.splice(previous, pattern, from));
+        };
+        this.hush = () => strudel.hush();
 
-        this.hush = window.hush || (() => {
-            console.log('[StrudelEngine] Would hush');
-        });
+        // Lets tempo changes skip a full re-evaluation
+        this.setCps = (cps) => this.repl.setCps(cps);
+
+        this.compiler = this.createCompiler(strudel);
 
         console.log('[StrudelEngine] Strudel functions ready');
     }
 
     /**
-     * Mock mode for testing without Strudel
+     * Compile code with the same transpiler and scope as the repl, without handing the
+     * pattern to the scheduler
      */
-    setupMockMode() {
-        this.evaluate = (code) => {
+    createCompiler(strudel) {
+        return async (code, cycle) => {
+            const { output } = strudel.transpiler(code, { emitMiniLocations: false, emitWidgets: false });
+            const pattern = await Function(`"use strict";return (async () => {${output}})()`)();
+
+            // queryArc logs and swallows errors - query directly so they surface here
+            pattern?.query?.(new strudel.State(new strudel.TimeSpan(cycle, cycle + 1)));
+            return pattern;
+        };
+    }
+
+    /**
+     * Mock mode without audio: a recorded timeline of the events Strudel would schedule
+     * (this.mock.getTimeline()). Code is still compiled by Strudel when it is loaded;
+     * without it the mock reads the mini-notation itself (MockStrudel.compile).
+     * realtime: false leaves advancing the clock to the caller, e.g. this.mock.advance(4)
+     * in tests, so the timeline is deterministic
+     */
+    async setupMockMode({ realtime = true } = {}) {
+        const strudel = window.strudel;
+        this.mock = new MockStrudel();
+        this.mockRealtime = realtime;
+
+        if (strudel?.transpiler) {
+            // initStrudel normally puts Strudel's functions in scope and reads every string as mini-notation
+            await strudel.evalScope(strudel);
+            strudel.miniAllStrings();
+            this.compiler = this.createCompiler(strudel);
+        } else {
+            this.compiler = async (code) => MockStrudel.compile(code);
+        }
+
+        // The mock plays the compiled slot patterns instead of parsing the program
+        this.evaluate = (code, patterns, from = null) => {
+            this.flushMock();
+            this.mock.setcps(this.cps);
+            this.mock.play(patterns, from);
+            if (realtime && !this.mockTimer) {
+                this.mockTimer = setInterval(() => this.flushMock(), CONFIG.STRUDEL.mockTickMs);
+            }
             console.log('[StrudelEngine:Mock] Evaluate:', code);
-            this.currentCode = code;
-            this.isPlaying = true;
-            if (this.onEvaluate) this.onEvaluate(code);
+            return patterns;
         };
 
         this.hush = () => {
+            this.flushMock();
+            this.mock.hush();
+            clearInterval(this.mockTimer);
+            this.mockTimer = null;
             console.log('[StrudelEngine:Mock] Hush');
-            this.isPlaying = false;
-            if (this.onStop) this.onStop();
         };
+
+        this.setCps = (cps) => {
+            this.flushMock();
+            this.mock.setcps(cps);
+        };
+    }
+
+    /**
+     * Record what the mock played up to now (realtime mock mode only)
+     */
+    flushMock() {
+        if (this.mockRealtime && this.isPlaying && this.clock) {
+            this.mock.advanceTo(this.getCycle());
+        }
     }
 
     /**
      * Play/evaluate code
+     * Accepts a code string or a list of per-agent pattern slots ({ id, label, code })
+     * from is the cycle the change takes effect on while playing (null: right away)
+     * Resolves to whether the code is playing
      */
-    play(code) {
+    play(code, from = null) {
+        if (Array.isArray(code)) {
+            return this.playSlots(code, from);
+        }
+
         if (!code || code.trim() === '') {
             console.warn('[StrudelEngine] No code to play');
-            return false;
+            return Promise.resolve(false);
         }
 
-        try {
-            // Clean code
-            const cleanCode = this.sanitizeCode(code);
+        const check = this.sandbox.check(code);
+        if (!check.valid) {
+            console.warn('[StrudelEngine] Rejected code:', check.error);
+            this.lastError = new Error(check.error);
+            if (this.onError) this.onError(this.lastError);
+            return Promise.resolve(false);
+        }
+
+        return this.serialize(async () => {
+            try {
+                // Clean code and set the band tempo
+                this.source = code;
+                const pattern = await this.compile(code);
+                const codeWithTempo = this.applyTempo(this.sanitizeCode(code));
+                return await this.run(codeWithTempo, pattern ? [{ agent: null, pattern }] : [], from);
+            } catch (error) {
+                console.error('[StrudelEngine] Play error:', error);
+                this.lastError = error;
+                if (this.onError) this.onError(error);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Run evaluations one after another so slot state never sees two at once
+     */
+    serialize(task) {
+        const result = this.evaluation.then(task);
+        this.evaluation = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Evaluate final code and keep the clock running - throws when evaluation fails
+     * patterns are the compiled patterns in the program, [{ agent, pattern }], for the mock
+     */
+    async run(code, patterns = [], from = null) {
+        if (!this.evaluate) return false;
+
+        const wasPlaying = this.isPlaying;
+        this.lastError = null;
+        this.evalError = null;
+
+        const result = await this.evaluate(code, patterns, from);
+        if (this.evalError || !result) {
+            throw this.evalError || new Error('Evaluation did not produce a pattern');
+        }
+        this.currentCode = code;
+
+        // Playback starts at cycle 0
+        if (!wasPlaying && this.mockRealtime) {
+            this.clock = { cycle: 0, time: performance.now() };
+        }
+        this.isPlaying = true;
+
+        if (this.onPlay) this.onPlay(code);
+        if (this.onEvaluate) this.onEvaluate(code);
 
-            // Set tempo if needed
-            const codeWithTempo = this.applyTempo(cleanCode);
+        console.log('[StrudelEngine] Playing:', code);
+        return true;
+    }
+
+    /**
+     * Play each agent as its own labeled pattern slot
+     * A slot whose new code fails keeps playing its last good pattern
+     */
+    playSlots(slots, from = null) {
+        return this.serialize(async () => {
+            if (!this.evaluate) return false;
 
-            // Evaluate
-            if (this.evaluate) {
-                this.evaluate(codeWithTempo);
-                this.currentCode = codeWithTempo;
-                this.isPlaying = true;
+            this.updateSlots(slots);
+
+            const ok = await this.evaluateSlots(from);
+            if (!ok) {
+                console.error('[StrudelEngine] Play error:', this.lastError);
+                if (this.onError) this.onError(this.lastError || new Error('Evaluation failed'));
+            }
+            return ok;
+        });
+    }
+
+    /**
+     * Take new slot code; code that does not compile is rejected right away
+     */
+    updateSlots(slots) {
+        const ids = new Set(slots.map(slot => slot.id));
+
+        // Agents that left the band drop out, muted ones just go quiet
+        this.slots.forEach((slot, id) => {
+            if (!ids.has(id)) this.slots.delete(id);
+        });
+
+        slots.forEach(({ id, label, code, audio = true }) => {
+            const slot = this.slots.get(id) || {
+                label, good: null, candidate: null, submitted: null, error: null, pattern: null, candidatePattern: null,
+                orbit: this.nextOrbit(), output: null
+            };
+            this.slots.set(id, slot);
+
+            slot.label = label;
+            slot.active = Boolean(code);
+            slot.audio = audio;
+            if (!code || code === slot.submitted) return;
+
+            slot.submitted = code;
+            slot.candidate = null;
+            if (code === slot.good) return;
+
+            const check = this.checkCode(code);
+            if (check.valid) {
+                slot.candidate = code;
+            } else {
+                this.rejectSlot(id, slot, check.error);
+            }
+        });
+    }
 
-                if (this.onPlay) this.onPlay(codeWithTempo);
-                if (this.onEvaluate) this.onEvaluate(codeWithTempo);
+    /**
+     * Lowest orbit no slot plays on
+     */
+    nextOrbit() {
+        const used = new Set([...this.slots.values()].map(slot => slot.orbit));
+        let orbit = 1;
+        while (used.has(orbit)) orbit++;
+        return orbit;
+    }
 
-                console.log('[StrudelEngine] Playing:', codeWithTempo);
-                return true;
+    /**
+     * Evaluate all slots: changed slots are first compiled on their own, so a broken one
+     * is rejected without touching playback; then the program is evaluated once, and
+     * once more with only the last good patterns if it still fails
+     */
+    async evaluateSlots(from = null) {
+        for (const [id, slot] of this.slots) {
+            if (slot.candidate === null) continue;
+
+            try {
+                slot.candidatePattern = await this.compile(slot.candidate);
+            } catch (error) {
+                this.rejectSlot(id, slot, error.message);
             }
+        }
+
+        const changed = [...this.slots.entries()].filter(([, slot]) => slot.candidate !== null);
+        if (await this.tryProgram(from)) {
+            changed.forEach(([id, slot]) => this.acceptSlot(id, slot));
+            return true;
+        }
+        if (changed.length === 0) return false;
+
+        const error = this.lastError?.message || 'Evaluation failed';
+        changed.forEach(([id, slot]) => this.rejectSlot(id, slot, error));
+        return this.tryProgram(from);
+    }
+
+    /**
+     * Evaluate the current slot program, recording the error instead of throwing
+     */
+    async tryProgram(from = null) {
+        try {
+            return await this.run(this.buildProgram(), this.getSlotPatterns(), from);
         } catch (error) {
-            console.error('[StrudelEngine] Play error:', error);
-            if (this.onError) this.onError(error);
+            this.lastError = error;
             return false;
         }
+    }
+
+    /**
+     * Compile code into a Strudel pattern without playing it (null without a compiler)
+     * Throws on syntax errors and on patterns that fail when queried - most mistakes
+     * (wrong argument types, unknown scales) only show up then
+     */
+    async compile(code) {
+        if (!this.compiler) return null;
+
+        const { declarations, expression } = this.sandbox.split(this.sanitizeCode(code));
+        const pattern = await this.compiler(`${declarations}\n${expression}`, Math.floor(this.getCycle()));
+        if (typeof pattern?.queryArc !== 'function') {
+            throw new Error('Code does not produce a pattern');
+        }
+        return pattern;
+    }
+
+    /**
+     * Compiled patterns of the slots that play: [{ agent, pattern }]
+     * Candidates count while they are being tried; slots without audio are left out
+     */
+    getSlotPatterns() {
+        const patterns = [];
+        this.slots.forEach((slot, id) => {
+            const pattern = slot.candidate !== null ? slot.candidatePattern : slot.pattern;
+            if (slot.active && slot.audio !== false && pattern) {
+                patterns.push({ agent: id, pattern });
+            }
+        });
+        return patterns;
+    }
+
+    /**
+     * Labeled Strudel program with one pattern per active slot, each on the slot's orbit
+     * Each slot's declarations live in its own block, so slots can't collide
+     * Slots without audio (sent only as MIDI) still evaluate, under a muted "_" label
+     */
+    buildProgram() {
+        const lines = [];
+
+        this.slots.forEach(slot => {
+            const code = slot.candidate ?? slot.good;
+            if (slot.active && code) {
+                const label = slot.audio === false ? `_${slot.label}` : slot.label;
+                lines.push(this.sandbox.label(this.sanitizeCode(code), label, slot.orbit));
+            }
+        });
+
+        // The transpiler returns the last statement, which must be an expression -
+        // labeled patterns play regardless of what is returned
+        lines.push('silence');
+        return this.applyTempo(lines.join('\n'));
+    }
+
+    /**
+     * A slot's new code played fine - it becomes the last good pattern
+     */
+    acceptSlot(id, slot) {
+        slot.good = slot.candidate;
+        slot.pattern = slot.candidatePattern;
+        slot.candidate = null;
+        slot.candidatePattern = null;
+
+        if (slot.error) {
+            slot.error = null;
+            if (this.onSlotError) this.onSlotError(id, null);
+        }
+    }
+
+    /**
+     * A slot's new code failed - keep its last good pattern and report the error
+     */
+    rejectSlot(id, slot, error) {
+        slot.candidate = null;
+        slot.candidatePattern = null;
+        slot.error = error;
+        console.warn(`[StrudelEngine] Slot ${id} failed, keeping last good pattern:`, error);
 
-        return false;
+        if (this.onSlotError) this.onSlotError(id, error, slot.good);
     }
 
     /**
      * Stop all sound
      */
     stop() {
+        this.cancelPending();
+
         try {
             if (this.hush) {
                 this.hush();
             }
             this.isPlaying = false;
+            this.clock = null;
             if (this.onStop) this.onStop();
             console.log('[StrudelEngine] Stopped');
         } catch (error) {
@@ -152,53 +468,219 @@ class StrudelEngine {
     toggle(code) {
         if (this.isPlaying) {
             this.stop();
-        } else {
-            this.play(code);
+            return Promise.resolve(false);
         }
+        return this.play(code);
     }
 
     /**
-     * Set tempo/BPM
+     * Set tempo/BPM (clamped and rounded to whole BPM)
      */
     setTempo(bpm) {
-        this.tempo = bpm;
-        // If playing, re-evaluate with new tempo
-        if (this.isPlaying && this.currentCode) {
-            this.play(this.currentCode);
+        const tempo = Math.round(Math.min(CONFIG.TEMPO.max, Math.max(CONFIG.TEMPO.min, parseFloat(bpm) || this.tempo)));
+        if (tempo === this.tempo) return;
+
+        this.reanchorClock();
+        this.tempo = tempo;
+        this.applyCps();
+
+        if (this.onTempoChange) this.onTempoChange(tempo);
+    }
+
+    /**
+     * Set the cycle length in beats (how many beats one Strudel cycle spans)
+     */
+    setBeatsPerCycle(beats) {
+        const value = Math.max(1, parseInt(beats) || CONFIG.STRUDEL.beatsPerCycle);
+        if (value === this.beatsPerCycle) return;
+
+        this.reanchorClock();
+        this.beatsPerCycle = value;
+        this.applyCps();
+    }
+
+    /**
+     * Re-anchor the mock clock before a speed change so cycle counting stays continuous
+     * (Strudel's scheduler does this itself on setcps)
+     */
+    reanchorClock() {
+        if (this.clock) {
+            this.clock = { cycle: this.getCycle(), time: performance.now() };
+        }
+    }
+
+    /**
+     * Push the current cps to the running scheduler
+     */
+    applyCps() {
+        if (!this.isPlaying) return;
+
+        if (this.setCps) {
+            this.setCps(this.cps);
+        } else if (this.slots.size > 0) {
+            this.serialize(() => this.evaluateSlots());
+        } else if (this.source) {
+            this.play(this.source);
         }
     }
 
     /**
-     * Apply tempo to code
+     * Prefix code with the global tempo
      */
     applyTempo(code) {
-        // Check if code already has cpm/bpm
-        if (code.includes('.cpm(') || code.includes('.bpm(')) {
-            return code;
+        return `setcps(${Number(this.cps.toFixed(6))})\n${code}`;
+    }
+
+    /**
+     * Play now if stopped or unquantized, otherwise queue the change for the next boundary
+     * Later changes before the boundary replace the queued code and launch together
+     */
+    schedule(code) {
+        if (!this.isPlaying || this.quantize === 'immediate') {
+            this.cancelPending();
+            return this.play(code);
         }
 
-        // Add tempo at the end
-        return `${code}.cpm(${this.tempo / 2})`;
+        const cycle = this.pending?.cycle ?? this.getNextQuantizeCycle();
+        this.cancelPending();
+
+        const delay = Math.max(0, this.msUntilCycle(cycle) - CONFIG.QUANTIZE.lookaheadMs);
+        this.pending = {
+            code,
+            cycle,
+            timer: setTimeout(() => this.launchPending(), delay)
+        };
+
+        if (this.onQueue) this.onQueue(cycle);
+        return Promise.resolve(true);
     }
 
     /**
-     * Sanitize code for safety
+     * Evaluate the queued change ahead of its boundary - it takes effect on the boundary itself
      */
-    sanitizeCode(code) {
-        // Remove any potentially harmful code
-        let clean = code;
+    async launchPending() {
+        if (!this.pending) return;
+
+        const { code, cycle } = this.pending;
+        this.pending = null;
+
+        const ok = await this.play(code, cycle);
+        if (this.onLaunch) this.onLaunch(ok);
+    }
+
+    /**
+     * Drop the queued change, if any
+     */
+    cancelPending() {
+        if (this.pending) {
+            clearTimeout(this.pending.timer);
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Set launch quantization: 'immediate', 'beat', 'bar' or a number of cycles
+     */
+    setQuantize(mode) {
+        const valid = CONFIG.QUANTIZE.options.some(option => option.value === String(mode));
+        this.quantize = valid ? String(mode) : CONFIG.QUANTIZE.default;
+    }
+
+    /**
+     * Length of one quantization step in cycles
+     */
+    get quantizeCycles() {
+        if (this.quantize === 'beat') return 1 / this.beatsPerCycle;
+        if (this.quantize === 'bar') return this.cyclesPerBar;
+        return parseFloat(this.quantize) || this.cyclesPerBar;
+    }
+
+    /**
+     * Next quantization boundary after the current position
+     */
+    getNextQuantizeCycle() {
+        const step = this.quantizeCycles;
+        return (Math.floor(this.getCycle() / step + 1e-6) + 1) * step;
+    }
+
+    /**
+     * Cycles per second at the current tempo
+     */
+    get cps() {
+        return this.tempo / 60 / this.beatsPerCycle;
+    }
+
+    /**
+     * Cycles in one bar of the current meter
+     */
+    get cyclesPerBar() {
+        return this.beatsPerBar / this.beatsPerCycle;
+    }
+
+    /**
+     * Set beats per bar (from the meter numerator)
+     */
+    setBeatsPerBar(beats) {
+        this.beatsPerBar = Math.max(1, parseInt(beats) || 4);
+    }
+
+    /**
+     * Current playback position in cycles (0 when stopped) - Strudel's scheduler clock,
+     * or the mock's own clock (how far it was advanced, when not realtime)
+     */
+    getCycle() {
+        if (!this.isPlaying) return 0;
+        if (this.repl) return this.repl.scheduler.now();
+        if (!this.mockRealtime) return this.mock.cycle;
+        if (!this.clock) return 0;
+        return this.clock.cycle + (performance.now() - this.clock.time) / 1000 * this.cps;
+    }
 
-        // Remove script tags
-        clean = clean.replace(/<script[^>]*>.*?<\/script>/gi, '');
+    /**
+     * First bar boundary after the current position
+     */
+    getNextBarCycle() {
+        const bar = this.cyclesPerBar;
+        return (Math.floor(this.getCycle() / bar + 1e-6) + 1) * bar;
+    }
+
+    /**
+     * Milliseconds until the given cycle is reached
+     */
+    msUntilCycle(cycle) {
+        return Math.max(0, (cycle - this.getCycle()) / this.cps * 1000);
+    }
+
+    /**
+     * performance.now() time at which a cycle is heard - the audio time Strudel's scheduler
+     * gives its events, mapped through the output timestamp so output latency counts too
+     */
+    timeOfCycle(cycle) {
+        const scheduler = this.repl?.scheduler;
+        if (!scheduler?.started) {
+            return performance.now() + (cycle - this.getCycle()) / this.cps * 1000;
+        }
 
-        // Remove eval calls (except our own)
-        clean = clean.replace(/\beval\s*\(/g, '');
+        const context = window.strudel.getAudioContext();
+        const audioTime = scheduler.num_ticks_since_cps_change > 0
+            ? (cycle - scheduler.num_cycles_at_cps_change) / scheduler.cps + scheduler.seconds_at_cps_change + scheduler.latency
+            // Tempo just changed - the scheduler re-anchors on its next tick
+            : context.currentTime + (cycle - scheduler.now()) / scheduler.cps - scheduler.clock.duration + scheduler.latency;
 
-        // Remove fetch/XMLHttpRequest
-        clean = clean.replace(/\bfetch\s*\(/g, '');
-        clean = clean.replace(/\bXMLHttpRequest\b/g, '');
+        const stamp = context.getOutputTimestamp?.();
+        if (stamp?.performanceTime) {
+            return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+        }
+        const outputLatency = (context.outputLatency || 0) + (context.baseLatency || 0);
+        return performance.now() + (audioTime - context.currentTime + outputLatency) * 1000;
+    }
 
-        return clean.trim();
+    /**
+     * Sanitize code for safety
+     */
+    sanitizeCode(code) {
+        // Safety comes from the sandbox allowlist (checkCode), this only tidies up
+        return code.trim();
     }
 
     /**
@@ -209,8 +691,8 @@ class StrudelEngine {
             return { valid: false, error: 'No code provided' };
         }
 
-        // Check for basic Strudel patterns
-        const hasPattern = /^(s|note|sound|stack|sequence|cat|fastcat|slowcat)\s*\(/.test(code.trim()) ||
+        // Check for basic Strudel patterns (anywhere - declarations may come first)
+        const hasPattern = /(^|[^\w$.])(s|note|sound|stack|sequence|cat|fastcat|slowcat)\s*\(/.test(code.trim()) ||
                           code.includes('.s(') ||
                           code.includes('.note(');
 
@@ -235,10 +717,95 @@ class StrudelEngine {
     }
 
     /**
-     * Get audio context for analysis
+     * Check code without playing it (validation, sandbox allowlist and a compile pass)
+     */
+    checkCode(code) {
+        const result = this.validateCode(code);
+        if (!result.valid) {
+            return result;
+        }
+
+        // Only allowlisted Strudel functions, methods and strings get through
+        const sandboxed = this.sandbox.check(code);
+        if (!sandboxed.valid) {
+            return sandboxed;
+        }
+
+        try {
+            // Compiles the code without running it - catches syntax errors
+            new Function(this.sanitizeCode(code));
+        } catch (error) {
+            return { valid: false, error: `${error.name}: ${error.message}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * The previous pattern's events before a cycle, the next pattern's from it on
+     */
+    static splice(previous, next, cycle) {
+        const before = hap => Boolean(hap.whole) && hap.whole.begin.valueOf() < cycle;
+        return window.strudel.stack(
+            previous.filterHaps(hap => before(hap)),
+            next.filterHaps(hap => !before(hap))
+        );
+    }
+
+    /**
+     * Onset events of a compiled pattern between two cycles: [{ begin, end, value }]
+     * Continuous haps and the tails of events started before from are left out
+     */
+    static events(pattern, from, to) {
+        return pattern.queryArc(from, to)
+            .filter(hap => hap.hasOnset())
+            .map(hap => ({
+                begin: hap.whole.begin.valueOf(),
+                end: hap.whole.end.valueOf(),
+                value: typeof hap.value === 'object' && hap.value !== null ? hap.value : { value: hap.value }
+            }))
+            .sort((a, b) => a.begin - b.begin);
+    }
+
+    /**
+     * MIDI note number of an event value (note or freq, as Strudel reads them), or null
+     */
+    static midiNote(value) {
+        if (!window.strudel) return MiniNotation.valueToMidi(value);
+        try {
+            return window.strudel.valueToMidi(value);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Output node of a slot's orbit in Strudel's audio graph (null in mock mode)
+     * getOrbit() creates and connects the orbit, so it runs once per output controller
+     */
+    getSlotOutput(id) {
+        const slot = this.slots.get(id);
+        if (!slot || !this.repl) return null;
+
+        const controller = window.strudel.getSuperdoughAudioController();
+        if (slot.output?.controller !== controller) {
+            slot.output = { controller, node: controller.getOrbit(slot.orbit).output };
+        }
+        return slot.output.node;
+    }
+
+    /**
+     * Strudel's audio context (null in mock mode)
      */
     getAudioContext() {
-        return this.audioContext || (window.Tone?.context);
+        return this.repl ? window.strudel.getAudioContext() : null;
+    }
+
+    /**
+     * The band bus: every orbit mixed, just before it reaches the speakers (null in mock mode)
+     */
+    getOutputNode() {
+        return this.repl ? window.strudel.getSuperdoughAudioController().output.destinationGain : null;
     }
 }
 
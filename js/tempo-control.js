@@ -0,0 +1,185 @@
+/**
+ * STRUDEL BAND - Tempo Control
+ * Tap tempo, nudging and tempo ramps on top of the engine's global tempo
+ */
+
+class TempoControl {
+    constructor(engine) {
+        this.engine = engine;
+
+        // Tap tempo
+        this.taps = [];
+
+        // Active ramp: { from, to, beats, beat, cycle, timer }
+        this.ramp = null;
+        this.runId = 0;
+
+        // Follow mode: the tempo tracks detected tempos; recent confident estimates
+        this.following = false;
+        this.readings = [];
+
+        // Callbacks
+        this.onRampStart = null;    // (target, bars)
+        this.onRampEnd = null;      // (tempo, completed)
+    }
+
+    get isRamping() {
+        return this.ramp !== null;
+    }
+
+    /**
+     * Set the tempo directly (cancels any ramp)
+     */
+    set(bpm) {
+        this.cancelRamp();
+        this.engine.setTempo(bpm);
+        return this.engine.tempo;
+    }
+
+    /**
+     * Nudge the tempo up or down by a few BPM
+     */
+    nudge(delta) {
+        return this.set(this.engine.tempo + delta);
+    }
+
+    /**
+     * Register a tap - from the second tap on, the tempo follows the average interval
+     * Returns the new tempo, or null while waiting for more taps
+     */
+    tap() {
+        const now = performance.now();
+        const last = this.taps[this.taps.length - 1];
+
+        if (last !== undefined && now - last > CONFIG.TEMPO.tapResetMs) {
+            this.taps = [];
+        }
+        this.taps.push(now);
+        this.taps = this.taps.slice(-CONFIG.TEMPO.maxTaps);
+
+        if (this.taps.length < 2) return null;
+
+        const average = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        return this.set(60000 / average);
+    }
+
+    /**
+     * Move the tempo to a target over a number of bars, one step per beat
+     * When stopped the tempo is simply set
+     */
+    rampTo(target, bars) {
+        this.cancelRamp();
+
+        const engine = this.engine;
+        const to = Math.min(CONFIG.TEMPO.max, Math.max(CONFIG.TEMPO.min, Math.round(target)));
+        const length = Math.min(CONFIG.TEMPO.maxRampBars, Math.max(1, parseInt(bars) || 1));
+
+        if (!engine.isPlaying || to === engine.tempo) {
+            engine.setTempo(to);
+            return false;
+        }
+
+        const beat = 1 / engine.beatsPerCycle;
+        this.ramp = {
+            from: engine.tempo,
+            to,
+            beats: length * engine.beatsPerBar,
+            beat: 0,
+            cycle: Math.floor(engine.getCycle() / beat + 1e-6) * beat,
+            timer: null
+        };
+
+        console.log(`[TempoControl] Ramp ${engine.tempo} → ${to} BPM over ${length} bars`);
+        if (this.onRampStart) this.onRampStart(to, length);
+
+        this.scheduleBeat(this.runId);
+        return true;
+    }
+
+    /**
+     * Wait for the next beat boundary, then take one ramp step
+     */
+    scheduleBeat(runId) {
+        const engine = this.engine;
+        this.ramp.cycle += 1 / engine.beatsPerCycle;
+
+        this.ramp.timer = setTimeout(() => this.step(runId), engine.msUntilCycle(this.ramp.cycle));
+    }
+
+    /**
+     * One ramp step: interpolate linearly between the start and target tempo
+     */
+    step(runId) {
+        if (runId !== this.runId || !this.ramp) return;
+
+        const ramp = this.ramp;
+        ramp.beat++;
+        this.engine.setTempo(ramp.from + (ramp.to - ramp.from) * (ramp.beat / ramp.beats));
+
+        if (ramp.beat >= ramp.beats || !this.engine.isPlaying) {
+            this.finishRamp(ramp.beat >= ramp.beats);
+            return;
+        }
+        this.scheduleBeat(runId);
+    }
+
+    /**
+     * Ramp done (or cut short)
+     */
+    finishRamp(completed) {
+        this.ramp = null;
+        this.runId++;
+
+        if (this.onRampEnd) this.onRampEnd(this.engine.tempo, completed);
+    }
+
+    /**
+     * Stop a running ramp at the current tempo
+     */
+    cancelRamp() {
+        if (!this.ramp) return;
+
+        clearTimeout(this.ramp.timer);
+        this.finishRamp(false);
+    }
+
+    setFollowing(following) {
+        this.following = following;
+        this.readings = [];
+    }
+
+    /**
+     * Feed a detected tempo - in follow mode the tempo moves once a few confident estimates agree
+     * Returns the new tempo, or null when it stays
+     */
+    follow(detection) {
+        const settings = CONFIG.BEAT;
+        if (!this.following || !detection.bpm || detection.confidence < settings.followConfidence) return null;
+
+        this.readings = [...this.readings, detection.bpm].slice(-settings.followReadings);
+        if (this.readings.length < settings.followReadings) return null;
+        if (Math.max(...this.readings) - Math.min(...this.readings) > settings.followTolerance) return null;
+
+        const bpm = this.readings.reduce((sum, value) => sum + value, 0) / this.readings.length;
+        if (Math.abs(bpm - this.engine.tempo) < settings.followTolerance) return null;
+
+        return this.set(bpm);
+    }
+
+    /**
+     * Parse a director phrase like "ramp to 140 over 8 bars"
+     * Returns { tempo, bars } or null
+     */
+    static parseRampCommand(text) {
+        const match = CONFIG.TEMPO.rampCommand.exec(text || '');
+        if (!match) return null;
+
+        return {
+            tempo: parseInt(match[1] || match[2]),
+            bars: parseInt(match[3])
+        };
+    }
+}
+
+// Export
+window.TempoControl = TempoControl;
@@ -13,6 +13,11 @@ class UI {
 
         // Chat message queue
         this.chatQueue = [];
+
+        // Agent ids in stage order and their colors (from the band roster)
+        this.agentOrder = [];
+        this.agentColors = {};
+        this.agentNames = {};
     }
 
     /**
@@ -46,27 +51,19 @@ class UI {
         // Chat
         this.elements.chatMessages = document.getElementById('chatMessages');
 
-        // Agents
+        // Agents (strips are rendered by renderAgents)
+        this.elements.agentsStage = document.getElementById('agentsStage');
         this.elements.agents = {};
-        ['drums', 'bass', 'lead', 'pads', 'fx'].forEach(id => {
-            this.elements.agents[id] = {
-                container: document.querySelector(`.agent[data-agent="${id}"]`),
-                code: document.getElementById(`${id}-code`),
-                prompt: document.getElementById(`${id}-prompt`),
-                status: document.getElementById(`${id}-status`),
-                viz: document.getElementById(`${id}-viz`),
-                genBtn: document.querySelector(`.agent[data-agent="${id}"] .gen-btn`),
-                muteBtn: document.querySelector(`.agent[data-agent="${id}"] .ctrl-btn.mute`),
-                soloBtn: document.querySelector(`.agent[data-agent="${id}"] .ctrl-btn.solo`)
-            };
-        });
 
         // Code panel
         this.elements.liveCode = document.getElementById('liveCode');
         this.elements.btnCopyCode = document.getElementById('btnCopyCode');
         this.elements.analyzerCanvas = document.getElementById('analyzerCanvas');
         this.elements.detectedKey = document.getElementById('detectedKey');
+        this.elements.bandContext = document.getElementById('bandContext');
         this.elements.detectedEnergy = document.getElementById('detectedEnergy');
+        this.elements.detectedTempo = document.getElementById('detectedTempo');
+        this.elements.detectedKey = document.getElementById('detectedKey');
 
         // Loading
         this.elements.loadingOverlay = document.getElementById('loadingOverlay');
@@ -129,12 +126,26 @@ class UI {
             this.toggleFullscreen();
         }
 
-        // 1-5 = Focus agent
-        if (['1', '2', '3', '4', '5'].includes(e.key)) {
+        // [ / ] = Nudge tempo (Shift for bigger steps), T = Tap tempo
+        if (['[', ']', '{', '}'].includes(e.key) && !e.ctrlKey && !e.metaKey) {
             e.preventDefault();
-            const agents = ['drums', 'bass', 'lead', 'pads', 'fx'];
-            const agentId = agents[parseInt(e.key) - 1];
-            this.focusAgent(agentId);
+            const step = e.shiftKey ? CONFIG.TEMPO.nudgeLarge : CONFIG.TEMPO.nudge;
+            const delta = e.key === '[' || e.key === '{' ? -step : step;
+            document.dispatchEvent(new CustomEvent('strudel:tempo-nudge', { detail: { delta } }));
+        }
+
+        if ((e.key === 't' || e.key === 'T') && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            document.dispatchEvent(new CustomEvent('strudel:tap'));
+        }
+
+        // 1-9 = Focus agent (in stage order)
+        if (/^[1-9]$/.test(e.key) && !e.ctrlKey && !e.metaKey) {
+            const agentId = this.agentOrder[parseInt(e.key) - 1];
+            if (agentId) {
+                e.preventDefault();
+                this.focusAgent(agentId);
+            }
         }
 
         // Ctrl/Cmd + D = Focus director
@@ -155,6 +166,134 @@ class UI {
         }
     }
 
+    /**
+     * Render one track strip per agent, in roster order
+     * Keeps each agent's current code, mute and solo state
+     */
+    renderAgents(agents) {
+        const stage = this.elements.agentsStage;
+        if (!stage) return;
+
+        stage.innerHTML = '';
+        this.elements.agents = {};
+        this.agentOrder = [];
+        this.agentColors = {};
+        this.agentNames = {};
+
+        agents.forEach((agent, id) => {
+            const container = this.createAgentStrip(agent);
+            stage.appendChild(container);
+
+            this.elements.agents[id] = {
+                container,
+                code: container.querySelector('.code-display'),
+                prompt: container.querySelector('.agent-input input'),
+                status: container.querySelector('.agent-status'),
+                viz: container.querySelector('.agent-visualizer'),
+                scope: container.querySelector('.agent-scope'),
+                meterLevel: container.querySelector('.meter-level'),
+                meterPeak: container.querySelector('.meter-peak'),
+                genBtn: container.querySelector('.gen-btn'),
+                muteBtn: container.querySelector('.ctrl-btn.mute'),
+                soloBtn: container.querySelector('.ctrl-btn.solo'),
+                likeBtn: container.querySelector('.ctrl-btn.like'),
+                dislikeBtn: container.querySelector('.ctrl-btn.dislike'),
+                styleDial: container.querySelector('.style-dial'),
+                midiPort: container.querySelector('.midi-port'),
+                midiChannel: container.querySelector('.midi-channel'),
+                midiAudio: container.querySelector('.midi-audio input')
+            };
+            this.agentOrder.push(id);
+            this.agentColors[id] = agent.color;
+            this.agentNames[id] = agent.name;
+
+            this.updateAgentStyle(id, agent.style, agent.styleTier.label);
+            this.updateMuteState(id, agent.isMuted);
+            this.updateRating(id, agent.currentEntry?.rating || 0);
+            this.updateSoloState(id, agent.isSolo);
+            container.classList.toggle('active', agent.isActive && !agent.isMuted);
+        });
+
+        stage.style.setProperty('--agent-columns', Math.min(agents.size, CONFIG.UI.maxAgentColumns));
+    }
+
+    /**
+     * Build the DOM for a single agent strip
+     */
+    createAgentStrip(agent) {
+        const container = document.createElement('article');
+        container.className = 'agent';
+        container.dataset.agent = agent.id;
+        container.style.setProperty('--agent-color', agent.color);
+
+        container.innerHTML = `
+            <div class="agent-header">
+                <div class="agent-avatar">
+                    <div class="avatar-ring"></div>
+                    <span class="avatar-icon"></span>
+                </div>
+                <div class="agent-info">
+                    <h3></h3>
+                    <p class="agent-status">idle</p>
+                </div>
+                <div class="agent-controls">
+                    <button class="ctrl-btn like" data-action="like" title="I like this pattern">👍</button>
+                    <button class="ctrl-btn dislike" data-action="dislike" title="Not this">👎</button>
+                    <button class="ctrl-btn mute" data-action="mute" title="Mute">M</button>
+                    <button class="ctrl-btn solo" data-action="solo" title="Solo">S</button>
+                </div>
+            </div>
+
+            <div class="agent-code">
+                <pre class="code-display"></pre>
+                <div class="code-overlay"></div>
+            </div>
+
+            <div class="agent-input">
+                <input type="text" />
+                <button class="gen-btn">Gen</button>
+            </div>
+
+            <div class="agent-style">
+                <span>safe</span>
+                <input type="range" class="style-dial" min="0" max="1" step="0.05" />
+                <span>wild</span>
+            </div>
+
+            <div class="agent-midi">
+                <select class="midi-port" title="MIDI output"></select>
+                <select class="midi-channel" title="MIDI channel"></select>
+                <label class="midi-audio" title="Keep the built-in sound alongside MIDI">
+                    <input type="checkbox" checked /> audio
+                </label>
+            </div>
+
+            <div class="agent-visualizer">
+                <canvas class="agent-scope"></canvas>
+                <div class="agent-meter" title="Level (peak hold)">
+                    <div class="meter-level"></div>
+                    <div class="meter-peak"></div>
+                </div>
+            </div>`;
+
+        // Ids keep the "<agent>-code" convention; text goes in via textContent
+        container.querySelector('.avatar-icon').textContent = agent.name.charAt(0);
+        container.querySelector('h3').textContent = agent.name;
+        container.querySelector('h3').title = `${agent.fullName} - ${agent.config.role}`;
+        container.querySelector('.agent-status').id = `${agent.id}-status`;
+        container.querySelector('.code-display').id = `${agent.id}-code`;
+        container.querySelector('.code-display').textContent = agent.code || CONFIG.STRUDEL.defaultCode;
+        container.querySelector('.agent-input input').id = `${agent.id}-prompt`;
+        container.querySelector('.agent-input input').placeholder = agent.config.placeholder || '';
+        container.querySelector('.gen-btn').dataset.agent = agent.id;
+        container.querySelector('.agent-visualizer').id = `${agent.id}-viz`;
+        container.querySelector('.gen-btn').dataset.learn = `generate:${agent.id}`;
+        container.querySelector('.ctrl-btn.mute').dataset.learn = `mute:${agent.id}`;
+        container.querySelector('.ctrl-btn.solo').dataset.learn = `solo:${agent.id}`;
+
+        return container;
+    }
+
     /**
      * Focus agent input
      */
@@ -168,13 +307,14 @@ class UI {
     /**
      * Update agent status
      */
-    updateAgentStatus(agentId, status) {
+    updateAgentStatus(agentId, status, detail = null) {
         const agent = this.elements.agents[agentId];
         if (!agent) return;
 
-        // Update status text
+        // Update status text (detail such as repair attempts wins over the bare status)
         if (agent.status) {
-            agent.status.textContent = status;
+            agent.status.textContent = detail || status;
+            agent.status.title = detail || '';
             agent.status.className = `agent-status ${status}`;
         }
 
@@ -182,7 +322,7 @@ class UI {
         if (agent.container) {
             agent.container.classList.remove('active', 'generating', 'muted');
             if (status === 'active') agent.container.classList.add('active');
-            if (status === 'generating') agent.container.classList.add('generating');
+            if (status === 'generating' || status === 'repairing') agent.container.classList.add('generating');
             if (status === 'muted') agent.container.classList.add('muted');
         }
     }
@@ -194,7 +334,7 @@ class UI {
         const agent = this.elements.agents[agentId];
         if (!agent?.code) return;
 
-        agent.code.textContent = code || '// waiting for pattern...';
+        agent.code.textContent = code || CONFIG.STRUDEL.defaultCode;
 
         // Flash animation
         agent.code.classList.add('updating');
@@ -203,6 +343,29 @@ class UI {
         }, CONFIG.UI.codeAnimationDuration);
     }
 
+    /**
+     * Show streamed code while an agent is generating
+     */
+    previewAgentCode(agentId, text) {
+        const agent = this.elements.agents[agentId];
+        if (!agent?.code) return;
+
+        agent.code.classList.add('streaming');
+        agent.code.textContent = text;
+        agent.code.scrollTop = agent.code.scrollHeight;
+    }
+
+    /**
+     * End a streamed preview and show the committed code again
+     */
+    endAgentPreview(agentId, code) {
+        const agent = this.elements.agents[agentId];
+        if (!agent?.code || !agent.code.classList.contains('streaming')) return;
+
+        agent.code.classList.remove('streaming');
+        agent.code.textContent = code || CONFIG.STRUDEL.defaultCode;
+    }
+
     /**
      * Update live code panel
      */
@@ -225,6 +388,63 @@ class UI {
         }
     }
 
+    /**
+     * Show the rating of an agent's current pattern
+     */
+    updateRating(agentId, rating) {
+        const agent = this.elements.agents[agentId];
+        agent?.likeBtn?.classList.toggle('active', rating > 0);
+        agent?.dislikeBtn?.classList.toggle('active', rating < 0);
+    }
+
+    /**
+     * Update an agent's style dial
+     */
+    updateAgentStyle(agentId, style, label) {
+        const dial = this.elements.agents[agentId]?.styleDial;
+        if (!dial) return;
+
+        dial.value = style;
+        dial.title = `Style: ${label} (${style.toFixed(2)})`;
+    }
+
+    /**
+     * Mark an agent strip as waiting for the next launch boundary
+     */
+    setAgentQueued(agentId, queued) {
+        this.elements.agents[agentId]?.container?.classList.toggle('queued', queued);
+    }
+
+    /**
+     * Mark an agent whose pattern failed to evaluate (error = null clears it)
+     */
+    setAgentSlotError(agentId, error, keptLastGood = true) {
+        const agent = this.elements.agents[agentId];
+        if (!agent) return;
+
+        agent.container?.classList.toggle('slot-error', Boolean(error));
+        if (error) {
+            const detail = keptLastGood ? `playing last good · ${error}` : error;
+            this.updateAgentStatus(agentId, 'error', detail);
+        } else {
+            this.updateAgentStatus(agentId, 'active');
+        }
+    }
+
+    /**
+     * Fill the launch quantization select
+     */
+    renderQuantizeOptions(select, value) {
+        select.innerHTML = '';
+        CONFIG.QUANTIZE.options.forEach(({ value: optionValue, label }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+    }
+
     /**
      * Update solo button state
      */
@@ -269,10 +489,15 @@ class UI {
         const msgEl = document.createElement('div');
         msgEl.className = `chat-msg ${agentId}`;
 
+        if (this.agentColors[agentId]) {
+            msgEl.classList.add('agent');
+            msgEl.style.setProperty('--agent-color', this.agentColors[agentId]);
+        }
+
         if (agentId !== 'system' && agentId !== 'director') {
             const nameEl = document.createElement('span');
             nameEl.className = 'agent-name';
-            nameEl.textContent = agentId.toUpperCase() + ':';
+            nameEl.textContent = (this.agentNames[agentId] || agentId.toUpperCase()) + ':';
             msgEl.appendChild(nameEl);
         }
 
@@ -290,6 +515,61 @@ class UI {
         while (this.elements.chatMessages.children.length > CONFIG.UI.chatMaxMessages) {
             this.elements.chatMessages.removeChild(this.elements.chatMessages.firstChild);
         }
+
+        return msgEl;
+    }
+
+    /**
+     * Replace the text of an existing chat message (e.g. a live countdown)
+     */
+    updateChatMessage(msgEl, message) {
+        if (!msgEl) return;
+        msgEl.lastChild.textContent = msgEl.classList.contains('director') ? `DIRECTOR: ${message}` : message;
+    }
+
+    /**
+     * Show an agent-to-agent request in the chat, with Approve/Reject while pending
+     */
+    addRequestMessage(request, fromName, toName, onApprove, onReject) {
+        const msgEl = this.addChatMessage(request.from, `→ ${toName}: ${request.text}`);
+        if (!msgEl) return;
+
+        msgEl.classList.add('chat-request');
+        msgEl.dataset.requestId = request.id;
+
+        if (request.status === 'pending') {
+            const actions = document.createElement('div');
+            actions.className = 'request-actions';
+
+            const approve = document.createElement('button');
+            approve.className = 'request-btn approve';
+            approve.textContent = 'Approve';
+            approve.addEventListener('click', () => onApprove(request.id));
+
+            const reject = document.createElement('button');
+            reject.className = 'request-btn reject';
+            reject.textContent = 'Reject';
+            reject.addEventListener('click', () => onReject(request.id));
+
+            actions.append(approve, reject);
+            msgEl.appendChild(actions);
+        }
+    }
+
+    /**
+     * Replace a request's buttons with its outcome
+     */
+    resolveRequestMessage(request) {
+        const msgEl = this.elements.chatMessages?.querySelector(`[data-request-id="${request.id}"]`);
+        if (!msgEl) return;
+
+        msgEl.querySelector('.request-actions')?.remove();
+        msgEl.classList.add(request.status);
+
+        const statusEl = document.createElement('span');
+        statusEl.className = 'request-status';
+        statusEl.textContent = request.status;
+        msgEl.appendChild(statusEl);
     }
 
     /**
@@ -300,6 +580,7 @@ class UI {
 
         const bubble = document.createElement('div');
         bubble.className = `bubble ${agentId}`;
+        bubble.style.setProperty('--agent-color', this.agentColors[agentId] || 'var(--accent-primary)');
         bubble.textContent = message;
 
         this.elements.agentBubbles.appendChild(bubble);
@@ -346,6 +627,510 @@ class UI {
         }
     }
 
+    /**
+     * Show the band tempo in the header (unless the user is typing in it)
+     */
+    updateTempo(bpm) {
+        const input = this.elements.tempoValue;
+        if (input && document.activeElement !== input) {
+            input.value = bpm;
+        }
+    }
+
+    /**
+     * Mark the header tempo while a ramp is running
+     */
+    setTempoRamp(target, bars) {
+        const control = document.getElementById('tempoControl');
+        if (!control) return;
+
+        control.classList.toggle('ramping', target !== null);
+        control.title = target !== null ? `Ramping to ${target} BPM over ${bars} bars` : '';
+    }
+
+    /**
+     * Detected tempo and its confidence next to the analyzer
+     */
+    updateDetectedTempo(detection) {
+        const el = this.elements.detectedTempo;
+        if (!el) return;
+
+        el.textContent = detection.bpm ? `${Math.round(detection.bpm)} BPM ${Math.round(detection.confidence * 100)}%` : '--';
+        el.title = detection.bpm ? `Detected ${detection.bpm} BPM, confidence ${Math.round(detection.confidence * 100)}%` : 'No steady beat detected';
+        el.classList.toggle('unsure', detection.confidence < CONFIG.BEAT.followConfidence);
+    }
+
+    /**
+     * Detected key and current chord next to the analyzer
+     */
+    updateDetectedKey(detection) {
+        const el = this.elements.detectedKey;
+        if (!el) return;
+
+        el.textContent = detection.key ? `${detection.key} ${detection.scale} · ${detection.chord}` : '--';
+        el.title = detection.key
+            ? `Heard: ${detection.key} ${detection.scale} (${Math.round(detection.keyConfidence * 100)}%), ` +
+              `chord ${detection.chord} (${Math.round(detection.chordConfidence * 100)}%)`
+            : 'Nothing pitched heard yet';
+        el.classList.toggle('unsure', detection.keyConfidence < CONFIG.KEY.promptConfidence);
+    }
+
+    /**
+     * Mark the follow button while the tempo follows the external input
+     */
+    setTempoFollow(following) {
+        document.getElementById('btnTempoFollow')?.classList.toggle('active', following);
+    }
+
+    /**
+     * Flash the tap button on each tap
+     */
+    flashTap() {
+        const btn = document.getElementById('btnTapTempo');
+        if (!btn) return;
+
+        btn.classList.add('flash');
+        setTimeout(() => btn.classList.remove('flash'), 100);
+    }
+
+    /**
+     * Fill the cycle length select (beats per cycle)
+     */
+    renderBeatsPerCycleOptions(select, value) {
+        select.innerHTML = '';
+        CONFIG.TEMPO.beatsPerCycleOptions.forEach(beats => {
+            const option = document.createElement('option');
+            option.value = beats;
+            option.textContent = `${beats} beat${beats === 1 ? '' : 's'} per cycle`;
+            select.appendChild(option);
+        });
+        select.value = value;
+    }
+
+    /**
+     * MIDI learn mode: learnable controls are outlined and show their bindings
+     */
+    setMidiLearn(active) {
+        document.body.classList.toggle('midi-learning', active);
+        document.getElementById('btnMidiLearn')?.classList.toggle('active', active);
+        if (!active) this.armMidiLearn(null);
+    }
+
+    /**
+     * Highlight the control waiting for a knob or pad
+     */
+    armMidiLearn(action) {
+        document.querySelectorAll('[data-learn].learn-armed').forEach(el => el.classList.remove('learn-armed'));
+        if (action) {
+            document.querySelectorAll(`[data-learn="${CSS.escape(action)}"]`).forEach(el => el.classList.add('learn-armed'));
+        }
+    }
+
+    /**
+     * Label each learnable control with its binding ("CC 21")
+     */
+    renderMidiBindings(bindings) {
+        const labels = {};
+        Object.entries(bindings).forEach(([key, action]) => {
+            labels[action] = MidiLearn.describe(key);
+        });
+
+        document.querySelectorAll('[data-learn]').forEach(el => {
+            if (labels[el.dataset.learn]) {
+                el.dataset.midi = labels[el.dataset.learn];
+            } else {
+                delete el.dataset.midi;
+            }
+        });
+    }
+
+    /**
+     * Fill every strip's MIDI output selector
+     * status: { supported, enabled } - before MIDI is enabled the list offers to connect
+     */
+    renderMidiRoutes(ports, routes, status) {
+        Object.entries(this.elements.agents).forEach(([agentId, agent]) => {
+            const row = agent.midiPort?.closest('.agent-midi');
+            if (!row) return;
+
+            row.hidden = !status.supported;
+            const route = routes[agentId];
+            const options = [['', 'No MIDI out']];
+            if (!status.enabled) options.push(['__connect', 'Connect MIDI...']);
+            ports.forEach(port => options.push([port.id, port.name]));
+            if (route && !ports.some(port => port.id === route.port)) {
+                options.push([route.port, `${route.name || 'Port'} (offline)`]);
+            }
+
+            agent.midiPort.innerHTML = '';
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                agent.midiPort.appendChild(option);
+            });
+            agent.midiPort.value = route?.port || '';
+
+            if (agent.midiChannel.options.length === 0) {
+                for (let channel = 1; channel <= 16; channel++) {
+                    const option = document.createElement('option');
+                    option.value = channel;
+                    option.textContent = `ch ${channel}`;
+                    agent.midiChannel.appendChild(option);
+                }
+            }
+            agent.midiChannel.value = route?.channel || 1;
+            agent.midiAudio.checked = route?.audio !== false;
+
+            agent.midiChannel.disabled = !route;
+            agent.midiAudio.disabled = !route;
+            agent.container.classList.toggle('midi-routed', Boolean(route));
+        });
+    }
+
+    /**
+     * The MIDI route chosen on an agent's strip
+     */
+    readMidiRoute(agentId) {
+        const agent = this.elements.agents[agentId];
+        if (!agent?.midiPort) return null;
+
+        return {
+            port: agent.midiPort.value,
+            channel: parseInt(agent.midiChannel.value) || 1,
+            audio: agent.midiAudio.checked
+        };
+    }
+
+    /**
+     * Fill the render dialog - arrangement is the saved plan, if any
+     */
+    renderRenderOptions(arrangement) {
+        const source = document.getElementById('renderSource');
+        const sampleRate = document.getElementById('renderSampleRate');
+        const cycles = document.getElementById('renderCycles');
+
+        if (source) {
+            source.innerHTML = '<option value="current">Current pattern</option>';
+            if (arrangement) {
+                const option = document.createElement('option');
+                option.value = 'arrangement';
+                option.textContent = 'Saved arrangement';
+                source.appendChild(option);
+            }
+            source.value = 'current';
+            source.onchange = () => this.updateRenderSource(arrangement);
+        }
+        if (sampleRate) {
+            sampleRate.innerHTML = '';
+            CONFIG.RENDER.sampleRates.forEach(rate => {
+                const option = document.createElement('option');
+                option.value = rate;
+                option.textContent = `${(rate / 1000).toFixed(1)} kHz`;
+                sampleRate.appendChild(option);
+            });
+        }
+        if (cycles) {
+            cycles.max = CONFIG.RENDER.maxCycles;
+            cycles.value = cycles.value || CONFIG.RENDER.defaultCycles;
+        }
+
+        this.updateRenderSource(arrangement);
+    }
+
+    /**
+     * Arrangements set their own length, so the cycle count only applies to the current pattern
+     */
+    updateRenderSource(arrangement) {
+        const isArrangement = document.getElementById('renderSource')?.value === 'arrangement';
+        const cycles = document.getElementById('renderCycles');
+        const hint = document.getElementById('renderSourceHint');
+
+        if (cycles) cycles.disabled = isArrangement;
+        if (hint) {
+            hint.textContent = isArrangement
+                ? arrangement.sections.map(s => `${s.name} (${s.bars} bars)`).join(' → ')
+                : 'Every active agent\'s pattern as it plays now';
+        }
+    }
+
+    /**
+     * Show the band's musical context next to the detected key
+     */
+    updateMusicalContext(context) {
+        if (!this.elements.bandContext) return;
+
+        this.elements.bandContext.textContent = `${context.key} ${context.scale}`;
+        this.elements.bandContext.title = `Band context: ${context.describe()} · ${context.tempo} BPM · energy ${context.energy}/10`;
+    }
+
+    /**
+     * Fill the musical context fields in the settings modal
+     */
+    renderMusicalContextSettings(context) {
+        const fill = (id, values) => {
+            const select = document.getElementById(id);
+            if (!select || select.options.length > 0) return;
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+        };
+
+        fill('contextKey', CONFIG.MUSIC.keys);
+        fill('contextScale', CONFIG.MUSIC.scales);
+        fill('contextMeter', CONFIG.MUSIC.meters);
+
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+
+        set('contextKey', context.key);
+        set('contextScale', context.scale);
+        set('contextChords', context.chords.join(' '));
+        set('contextMeter', context.meter);
+        set('contextEnergy', context.energy);
+    }
+
+    /**
+     * Read the musical context fields from the settings modal
+     */
+    readMusicalContextSettings() {
+        return {
+            key: document.getElementById('contextKey')?.value,
+            scale: document.getElementById('contextScale')?.value,
+            chords: document.getElementById('contextChords')?.value,
+            meter: document.getElementById('contextMeter')?.value,
+            energy: document.getElementById('contextEnergy')?.value
+        };
+    }
+
+    /**
+     * Render per-role LLM settings rows in the settings modal
+     */
+    renderLLMSettings(roles, llm) {
+        const container = document.getElementById('llmSettings');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        roles.forEach(({ id, name }) => {
+            const settings = llm.getRoleSettings(id);
+
+            const row = document.createElement('div');
+            row.className = 'llm-row';
+            row.dataset.role = id;
+
+            const label = document.createElement('span');
+            label.className = 'llm-role';
+            label.textContent = name;
+
+            const provider = document.createElement('select');
+            provider.className = 'llm-provider';
+            Object.entries(CONFIG.LLM.providers).forEach(([key, config]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = config.label;
+                provider.appendChild(option);
+            });
+            provider.value = settings.provider;
+
+            const model = document.createElement('input');
+            model.type = 'text';
+            model.className = 'llm-model';
+            model.value = settings.model;
+            model.placeholder = CONFIG.LLM.providers[settings.provider]?.defaultModel || 'model';
+            provider.addEventListener('change', () => {
+                model.placeholder = CONFIG.LLM.providers[provider.value]?.defaultModel || 'model';
+            });
+
+            const temperature = document.createElement('input');
+            temperature.type = 'number';
+            temperature.className = 'llm-temperature';
+            temperature.min = 0;
+            temperature.max = 2;
+            temperature.step = 0.1;
+            temperature.value = settings.temperature;
+            temperature.title = 'Temperature';
+
+            const maxTokens = document.createElement('input');
+            maxTokens.type = 'number';
+            maxTokens.className = 'llm-max-tokens';
+            maxTokens.min = 50;
+            maxTokens.step = 50;
+            maxTokens.value = settings.maxTokens;
+            maxTokens.title = 'Max tokens';
+
+            row.append(label, provider, model, temperature, maxTokens);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Render the roster editor in the settings modal
+     */
+    renderRosterSettings(members) {
+        const container = document.getElementById('rosterSettings');
+        if (!container) return;
+
+        container.innerHTML = '';
+        members.forEach(member => this.addRosterRow(member));
+    }
+
+    /**
+     * List the sample banks with their state and how many sounds they add
+     */
+    renderSampleBanks(banks) {
+        const container = document.getElementById('sampleBanks');
+        if (!container) return;
+
+        const states = { loading: 'loading...', fallback: 'offline - built-in list', error: 'failed' };
+        container.innerHTML = '';
+        banks.forEach(bank => {
+            const row = document.createElement('div');
+            row.className = `sample-bank ${bank.status}`;
+
+            const name = document.createElement('span');
+            name.className = 'sample-bank-name';
+            name.textContent = bank.name;
+            name.title = bank.url || 'Local folder';
+
+            const info = document.createElement('span');
+            info.className = 'sample-bank-info';
+            info.textContent = bank.status === 'ready' || bank.status === 'fallback'
+                ? `${bank.names.length} sounds${states[bank.status] ? ` (${states[bank.status]})` : ''}`
+                : states[bank.status];
+            info.title = bank.error || '';
+
+            row.append(name, info);
+            if (bank.source !== 'default') {
+                const remove = document.createElement('button');
+                remove.className = 'roster-remove sample-bank-remove';
+                remove.dataset.bank = bank.id;
+                remove.title = 'Remove bank';
+                remove.textContent = '×';
+                row.appendChild(remove);
+            }
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Add one editable roster row (new agents start from the chosen type's profile)
+     */
+    addRosterRow(member = {}) {
+        const container = document.getElementById('rosterSettings');
+        if (!container) return;
+
+        const type = member.type || 'fx';
+        const base = CONFIG.AGENTS[type];
+
+        const row = document.createElement('div');
+        row.className = 'roster-row';
+        row.dataset.id = member.id || '';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'roster-color';
+        color.value = member.color || base.color;
+        color.title = 'Color';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'roster-name';
+        name.value = member.name || '';
+        name.placeholder = 'NAME';
+        name.maxLength = 16;
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'roster-type';
+        typeSelect.title = 'Type';
+        CONFIG.ROSTER.types.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = type;
+
+        const samples = document.createElement('input');
+        samples.type = 'text';
+        samples.className = 'roster-samples';
+        samples.value = member.samples || base.samples;
+        samples.placeholder = 'samples / synths';
+        samples.title = 'Samples and synths';
+
+        const remove = document.createElement('button');
+        remove.className = 'roster-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove agent';
+        remove.addEventListener('click', () => row.remove());
+
+        const role = document.createElement('input');
+        role.type = 'text';
+        role.className = 'roster-role';
+        role.value = member.role || base.role;
+        role.placeholder = 'role';
+        role.title = 'Role';
+
+        const prompt = document.createElement('textarea');
+        prompt.className = 'roster-prompt';
+        prompt.rows = 2;
+        prompt.value = member.systemPrompt || '';
+        prompt.placeholder = 'Agent prompt (leave empty for the type default)';
+
+        // Switching type on a fresh row pulls in that type's defaults
+        typeSelect.addEventListener('change', () => {
+            if (row.dataset.id) return;
+            const profile = CONFIG.AGENTS[typeSelect.value];
+            color.value = profile.color;
+            samples.value = profile.samples;
+            role.value = profile.role;
+        });
+
+        row.append(color, name, typeSelect, samples, remove, role, prompt);
+        container.appendChild(row);
+        if (!member.id) name.focus();
+    }
+
+    /**
+     * Read the roster editor rows
+     */
+    readRosterSettings() {
+        return [...document.querySelectorAll('#rosterSettings .roster-row')]
+            .map(row => ({
+                id: row.dataset.id || undefined,
+                name: row.querySelector('.roster-name').value.trim(),
+                type: row.querySelector('.roster-type').value,
+                color: row.querySelector('.roster-color').value,
+                samples: row.querySelector('.roster-samples').value.trim(),
+                role: row.querySelector('.roster-role').value.trim(),
+                systemPrompt: row.querySelector('.roster-prompt').value.trim()
+            }))
+            .filter(member => member.name);
+    }
+
+    /**
+     * Read per-role LLM settings from the settings modal
+     */
+    readLLMSettings() {
+        const settings = {};
+
+        document.querySelectorAll('#llmSettings .llm-row').forEach(row => {
+            settings[row.dataset.role] = {
+                provider: row.querySelector('.llm-provider').value,
+                model: row.querySelector('.llm-model').value.trim(),
+                temperature: parseFloat(row.querySelector('.llm-temperature').value) || 0,
+                maxTokens: parseInt(row.querySelector('.llm-max-tokens').value) || 500
+            };
+        });
+
+        return settings;
+    }
+
     /**
      * Start audio visualizer
      */
@@ -360,6 +1145,13 @@ class UI {
         const draw = () => {
             this.animationFrame = requestAnimationFrame(draw);
 
+            // Per-agent meters and scopes in the strips
+            const meters = window.app?.agentMeters;
+            if (meters) {
+                meters.update();
+                this.drawAgentMeters(meters);
+            }
+
             // Get analyzer data if available
             const analyzerData = window.app?.audioCapture?.getAnalyzerData();
 
@@ -370,8 +1162,6 @@ class UI {
             if (analyzerData) {
                 // Draw frequency bars
                 const barWidth = width / analyzerData.length;
-                ctx.fillStyle = CONFIG.AGENTS.drums.color;
-
                 for (let i = 0; i < analyzerData.length; i++) {
                     const barHeight = (analyzerData[i] / 255) * height;
                     const x = i * barWidth;
@@ -389,6 +1179,7 @@ class UI {
                     const energy = Math.round(features.energy * 100);
                     this.elements.detectedEnergy.textContent = `Energy: ${energy}%`;
                 }
+                this.elements.detectedTempo?.classList.toggle('downbeat', features?.beat === 1);
             } else {
                 // Draw placeholder
                 ctx.fillStyle = 'rgba(0, 255, 136, 0.1)';
@@ -408,6 +1199,48 @@ class UI {
         draw();
     }
 
+    /**
+     * Level meter with peak hold and a scrolling level scope in each strip
+     */
+    drawAgentMeters(meters) {
+        Object.entries(this.elements.agents).forEach(([id, el]) => {
+            const features = meters.getFeatures(id);
+            const level = features?.level ?? 0;
+            const peak = features?.peak ?? 0;
+
+            if (el.meterLevel) el.meterLevel.style.height = `${level * 100}%`;
+            if (el.meterPeak) el.meterPeak.style.bottom = `${peak * 100}%`;
+
+            const canvas = el.scope;
+            if (!canvas || !canvas.offsetWidth) return;
+            if (canvas.width !== canvas.offsetWidth) canvas.width = canvas.offsetWidth;
+            if (canvas.height !== canvas.offsetHeight) canvas.height = canvas.offsetHeight;
+
+            const ctx = canvas.getContext('2d');
+            const { width, height } = canvas;
+            ctx.clearRect(0, 0, width, height);
+
+            const history = features?.history || [];
+            if (history.length < 2) return;
+
+            // Newest on the right, mirrored around the middle like a waveform overview
+            const step = width / (CONFIG.METERS.historyLength - 1);
+            const offset = width - (history.length - 1) * step;
+            const middle = height / 2;
+
+            ctx.beginPath();
+            history.forEach((value, i) => ctx.lineTo(offset + i * step, middle - value * middle));
+            for (let i = history.length - 1; i >= 0; i--) {
+                ctx.lineTo(offset + i * step, middle + history[i] * middle);
+            }
+            ctx.closePath();
+            ctx.globalAlpha = 0.5;
+            ctx.fillStyle = this.agentColors[id] || '#00ff88';
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        });
+    }
+
     /**
      * Stop visualizer
      */
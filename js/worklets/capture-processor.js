@@ -0,0 +1,81 @@
+/**
+ * STRUDEL BAND - Capture Processor
+ * AudioWorklet that buffers the band's mono mix in a ring buffer and hands it
+ * to the main thread in batches, whenever AudioCapture asks for a flush
+ */
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        // Room for a few seconds, so a late flush loses nothing
+        const seconds = options.processorOptions?.bufferSeconds || 2;
+        this.ring = new Float32Array(Math.ceil(sampleRate * seconds));
+        this.writeIndex = 0;
+        this.available = 0;
+        this.dropped = 0;
+
+        this.paused = false;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    /**
+     * 'flush' posts everything buffered; 'pause' stops buffering and drops what's left; 'resume' restarts
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'flush':
+                this.flush();
+                break;
+            case 'pause':
+                this.paused = true;
+                this.available = 0;
+                break;
+            case 'resume':
+                this.paused = false;
+                break;
+        }
+    }
+
+    flush() {
+        if (this.available === 0) return;
+
+        const samples = new Float32Array(this.available);
+        const start = (this.writeIndex - this.available + this.ring.length) % this.ring.length;
+        const firstPart = Math.min(this.available, this.ring.length - start);
+        samples.set(this.ring.subarray(start, start + firstPart));
+        samples.set(this.ring.subarray(0, this.available - firstPart), firstPart);
+
+        this.port.postMessage({ type: 'chunk', samples, dropped: this.dropped }, [samples.buffer]);
+        this.available = 0;
+        this.dropped = 0;
+    }
+
+    /**
+     * Mix the input down to mono into the ring; the output stays silent
+     */
+    process(inputs) {
+        const input = inputs[0];
+        if (this.paused || !input || input.length === 0) return true;
+
+        const frames = input[0].length;
+        const channels = input.length;
+
+        for (let i = 0; i < frames; i++) {
+            let sum = 0;
+            for (let c = 0; c < channels; c++) sum += input[c][i];
+            this.ring[this.writeIndex] = sum / channels;
+            this.writeIndex = (this.writeIndex + 1) % this.ring.length;
+        }
+
+        // A full ring overwrites its oldest samples
+        const total = this.available + frames;
+        if (total > this.ring.length) this.dropped += total - this.ring.length;
+        this.available = Math.min(total, this.ring.length);
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
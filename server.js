@@ -0,0 +1,304 @@
+/**
+ * STRUDEL BAND - Local Server
+ * Serves the app and proxies LLM and Gemini Live traffic so API keys stay server-side
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const PORT = parseInt(process.env.PORT) || 3000;
+const HOST = '127.0.0.1';
+const ROOT = __dirname;
+
+// Pages allowed to use the proxies - anything else could spend the keys
+const ALLOWED_ORIGINS = [
+    `http://localhost:${PORT}`,
+    `http://127.0.0.1:${PORT}`
+];
+
+// Only these paths are served - keeps .env and server files private
+const STATIC_DIRS = ['css', 'js'];
+const STATIC_FILES = ['index.html'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.wav': 'audio/wav'
+};
+
+// Upstream LLM providers - keys and URLs come from .env
+const LLM_UPSTREAMS = {
+    anthropic: {
+        baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+        headers: () => ({ 'x-api-key': process.env.ANTHROPIC_API_KEY || '' }),
+        isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY)
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        headers: () => process.env.OPENAI_API_KEY
+            ? { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` }
+            : {},
+        isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL)
+    },
+    local: {
+        baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434',
+        headers: () => ({}),
+        isConfigured: () => true
+    }
+};
+
+const GEMINI_WS_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Whether a request comes from the app's own pages
+ */
+function isAllowedOrigin(req) {
+    return ALLOWED_ORIGINS.includes(req.headers.origin);
+}
+
+/**
+ * Read a request body into a Buffer
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * GET /api/status - which backends are configured
+ */
+function handleStatus(req, res) {
+    const providers = {};
+    Object.entries(LLM_UPSTREAMS).forEach(([name, upstream]) => {
+        providers[name] = upstream.isConfigured();
+    });
+
+    sendJSON(res, 200, {
+        providers,
+        gemini: Boolean(process.env.GEMINI_API_KEY)
+    });
+}
+
+/**
+ * POST /api/llm/:provider/* - forward to the upstream provider with its key
+ */
+async function handleLLMProxy(req, res, provider, upstreamPath) {
+    const upstream = LLM_UPSTREAMS[provider];
+    if (!upstream) {
+        sendJSON(res, 404, { error: `Unknown provider: ${provider}` });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const body = await readBody(req);
+        const headers = {
+            'Content-Type': 'application/json',
+            ...upstream.headers()
+        };
+
+        // Pass through provider-specific headers set by the browser
+        if (req.headers['anthropic-version']) {
+            headers['anthropic-version'] = req.headers['anthropic-version'];
+        }
+
+        const response = await fetch(`${upstream.baseUrl.replace(/\/$/, '')}/${upstreamPath}`, {
+            method: 'POST',
+            headers,
+            body
+        });
+
+        res.writeHead(response.status, {
+            'Content-Type': response.headers.get('content-type') || MIME_TYPES['.json'],
+            'Cache-Control': 'no-cache'
+        });
+
+        // Pipe the body through so streamed responses arrive as they are produced
+        if (response.body) {
+            Readable.fromWeb(response.body).pipe(res);
+        } else {
+            res.end();
+        }
+    } catch (error) {
+        console.error(`[Server] ${provider} proxy failed:`, error.message);
+        if (!res.headersSent) {
+            sendJSON(res, 502, { error: `Upstream ${provider} unreachable` });
+        } else {
+            res.end();
+        }
+    }
+}
+
+/**
+ * Serve a static file from the allowed paths
+ */
+function handleStatic(req, res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        // Malformed percent-encoding such as "/js/%E0%A4%A"
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const requested = decoded === '/' ? 'index.html' : decoded.replace(/^\/+/, '');
+    const filePath = path.normalize(path.join(ROOT, requested));
+
+    // Check the resolved path so "../" segments cannot escape the allowlist
+    const relative = path.relative(ROOT, filePath).split(path.sep).join('/');
+    const topLevel = relative.split('/')[0];
+
+    const isAllowed = !relative.startsWith('..') &&
+        (STATIC_FILES.includes(relative) || (STATIC_DIRS.includes(topLevel) && relative !== topLevel));
+
+    if (!isAllowed) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(data);
+    });
+}
+
+/**
+ * Route HTTP requests
+ */
+function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (pathname === '/api/status') {
+        handleStatus(req, res);
+        return;
+    }
+
+    const llmMatch = pathname.match(/^\/api\/llm\/([a-z]+)\/(.+)$/);
+    if (llmMatch) {
+        if (!isAllowedOrigin(req)) {
+            sendJSON(res, 403, { error: 'Forbidden origin' });
+            return;
+        }
+        handleLLMProxy(req, res, llmMatch[1], llmMatch[2]);
+        return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+        sendJSON(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    handleStatic(req, res, pathname);
+}
+
+/**
+ * Relay a browser WebSocket to Gemini Live, adding the API key server-side
+ */
+function handleGeminiRelay(client) {
+    if (!process.env.GEMINI_API_KEY) {
+        client.close(1011, 'GEMINI_API_KEY not configured');
+        return;
+    }
+
+    const upstream = new WebSocket(`${GEMINI_WS_URL}?key=${process.env.GEMINI_API_KEY}`);
+    const pending = [];
+
+    upstream.on('open', () => {
+        pending.forEach(message => upstream.send(message));
+        pending.length = 0;
+    });
+
+    upstream.on('message', (data) => {
+        if (client.readyState === WebSocket.OPEN) {
+            // Gemini sends JSON as binary frames - forward as text for the browser
+            client.send(data.toString());
+        }
+    });
+
+    upstream.on('close', (code, reason) => {
+        if (client.readyState === WebSocket.OPEN) {
+            // 1005/1006 are reserved and cannot be sent in a close frame
+            const isSendable = code >= 1000 && code !== 1005 && code !== 1006;
+            client.close(isSendable ? code : 1000, reason.toString());
+        }
+    });
+
+    upstream.on('error', (error) => {
+        console.error('[Server] Gemini upstream error:', error.message);
+        if (client.readyState === WebSocket.OPEN) {
+            client.close(1011, 'Gemini upstream error');
+        }
+    });
+
+    client.on('message', (data) => {
+        const message = data.toString();
+        if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(message);
+        } else {
+            pending.push(message);
+        }
+    });
+
+    client.on('close', () => {
+        if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+            upstream.close();
+        }
+    });
+}
+
+const server = http.createServer(handleRequest);
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (pathname !== '/api/gemini-live' || !isAllowedOrigin(req)) {
+        socket.destroy();
+        return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (client) => handleGeminiRelay(client));
+});
+
+// Loopback only - the proxies must not be reachable from other machines
+server.listen(PORT, HOST, () => {
+    console.log(`[Server] Strudel Band running at http://localhost:${PORT}`);
+    console.log('[Server] Anthropic:', LLM_UPSTREAMS.anthropic.isConfigured() ? 'configured' : 'missing key');
+    console.log('[Server] Gemini Live:', process.env.GEMINI_API_KEY ? 'configured' : 'missing key');
+});
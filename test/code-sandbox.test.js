@@ -0,0 +1,101 @@
+/**
+ * STRUDEL BAND - Code Sandbox tests
+ * Known ways out of the allowlist must be rejected, everyday Strudel must pass
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { CodeSandbox } = loadScripts('js/code-sandbox.js');
+
+const ESCAPES = {
+    'computed access on a global': 'window[\'fe\' + \'tch\'](\'https://example.com\')',
+    'computed access on a pattern': 's("bd")["constructor"]',
+    'dynamic import': 'import(\'https://example.com/x.js\')',
+    'globalThis': 'globalThis.fetch(\'https://example.com\')',
+    'self': 'self.location',
+    'this': 'this.constructor',
+    'constructor chain': 's("bd").constructor.constructor("return fetch")()',
+    'prototype access': 's("bd").__proto__',
+    'template interpolation': 's(`bd ${fetch(\'https://example.com\')}`)',
+    'template interpolation in a method': 'note("c").s(`${document.cookie}`)',
+    'cpm method': 's("bd").cpm(200)',
+    'setcps call': 'setcps(2)',
+    'setcpm call': 'setcpm(140)',
+    'eval': 'eval("fetch(1)")',
+    'Function': 'Function("return fetch")()',
+    'new': 'new Function("x")',
+    'await': 'await fetch(\'https://example.com\')',
+    'unknown function in an arrow body': 'note("c").every(2, x => fetch(1))',
+    'arrow with a block body': 's("bd").every(2, x => { return x })',
+    'assignment to a global': 'location = \'https://example.com\'',
+    'keyword as a variable': 'const eval = s("bd")',
+    'allowlisted name as a variable': 'const s = 1',
+    'bad characters in a string': 's("bd\\u0022); fetch(1)")'
+};
+
+const VALID = [
+    's("bd*2 [~ bd] sd ~").bank("RolandTR909")',
+    'stack(s("bd*4"), s("~ cp").room(0.3), s("hh*8").gain(0.4))',
+    'note("<c2 eb2 g2 bb1>").s("sawtooth").lpf(sine.range(300, 1200).slow(8)).decay(0.2)',
+    'n("0 2 4 <6 7>").scale("C:minor").s("triangle").delay(0.25)',
+    'chord("<Cm7 Fm7 Bb7 Ebmaj7>").voicing().s("piano").room(0.5)',
+    's("bd sd").every(4, x => x.fast(2)).sometimes(x => x.speed(2))',
+    'note("c3 e3 g3").off(1/8, x => x.add(note(12))).s("square").gain(0.6)',
+    's("bd(3,8)").jux(rev).pan(sine)',
+    'note(`c3 [e3 g3]`).s("sawtooth").lpf(800)',
+    'const kick = s("bd*4")\nconst hats = s("hh*8").gain(0.3)\nstack(kick, hats)',
+    '$: s("bd*2")\n$: s("~ sd")',
+    '// groove\ns("bd ~ sd ~").swingBy(1/3, 4) /* swing */',
+    's("hh*8").gain(-0.5 + 1).velocity("<0.8 1>")'
+];
+
+describe('CodeSandbox', () => {
+    describe('rejects escapes', () => {
+        Object.entries(ESCAPES).forEach(([name, code]) => {
+            it(name, () => {
+                const result = new CodeSandbox().check(code);
+                assert.strictEqual(result.valid, false, `accepted: ${code}`);
+                assert.match(result.error, /^line \d+, col \d+: /);
+            });
+        });
+    });
+
+    describe('accepts Strudel patterns', () => {
+        VALID.forEach(code => {
+            it(code.split('\n')[0], () => {
+                const result = new CodeSandbox().check(code);
+                assert.strictEqual(result.valid, true, result.error);
+            });
+        });
+    });
+
+    describe('split', () => {
+        it('separates declarations from the pattern', () => {
+            const { declarations, expression } = new CodeSandbox().split('const k = s("bd");\nk.fast(2);');
+            assert.strictEqual(declarations, 'const k = s("bd");');
+            assert.strictEqual(expression, 'k.fast(2)');
+        });
+
+        it('stacks labeled patterns and leaves out muted ones', () => {
+            const { expression } = new CodeSandbox().split('$: s("bd")\n_$: s("cp")\n$: s("hh")');
+            assert.strictEqual(expression, 'stack(s("bd"), s("hh"))');
+        });
+
+        it('labels code with declarations as its own block', () => {
+            assert.strictEqual(new CodeSandbox().label('s("bd")', 'drums'), 'drums: s("bd")');
+            assert.strictEqual(
+                new CodeSandbox().label('const k = s("bd")\nk', 'drums'),
+                '{\nconst k = s("bd")\ndrums: k\n}'
+            );
+        });
+
+        it('sends the labeled pattern to its orbit', () => {
+            assert.strictEqual(
+                new CodeSandbox().label('$: s("bd")\n$: s("hh")', 'drums', 3),
+                'drums: (stack(s("bd"), s("hh"))).orbit(3)'
+            );
+        });
+    });
+});
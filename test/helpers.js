@@ -0,0 +1,25 @@
+/**
+ * STRUDEL BAND - Test helpers
+ * Loads browser scripts into one sandboxed global, in order, like index.html does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run scripts (paths from the repo root) and return their global - exports land on it via window.X
+ */
+function loadScripts(...files) {
+    const context = vm.createContext({ console });
+    context.window = context;
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,156 @@
+/**
+ * STRUDEL BAND - Mock Strudel tests
+ * Without Strudel the mock reads the mini-notation itself; the timeline must show what the
+ * band plays after a mood change, a directive and a mute
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(
+    'js/config.js', 'js/llm-providers.js', 'js/musical-context.js', 'js/session.js', 'js/roster.js',
+    'js/band-bus.js', 'js/code-sandbox.js', 'js/agents.js', 'js/mini-notation.js', 'js/strudel-engine.js',
+    'js/mock-strudel.js'
+);
+const { Band, MockStrudel, StrudelEngine } = context;
+
+// The band and the engine log every step
+context.console = { ...console, log() {}, warn() {} };
+
+/**
+ * Onsets of compiled code as "cycle sound note" lines
+ * (spread into arrays of this realm, deepStrictEqual tells them apart)
+ */
+function onsets(code, from, to) {
+    return [...StrudelEngine.events(MockStrudel.compile(code), from, to)]
+        .map(event => [event.begin, event.value.s ?? '-', StrudelEngine.midiNote(event.value) ?? '-'].join(' '));
+}
+
+/**
+ * Timeline entries as "agent cycle sound note" lines
+ */
+function lines(events) {
+    return [...events].map(event => [event.agent, event.cycle, event.sound, event.note ?? '-'].join(' '));
+}
+
+describe('MockStrudel.compile', () => {
+    it('subdivides steps, skips rests and speeds up with *', () => {
+        assert.deepStrictEqual(onsets('s("bd*2 [~ hh] sd ~")', 0, 1), [
+            '0 bd -', '0.125 bd -', '0.375 hh -', '0.5 sd -'
+        ]);
+    });
+
+    it('plays one item of <> per cycle', () => {
+        assert.deepStrictEqual(onsets('s("bd <sd cp>")', 0, 3), [
+            '0 bd -', '0.5 sd -', '1 bd -', '1.5 cp -', '2 bd -', '2.5 sd -'
+        ]);
+    });
+
+    it('plays layers separated by , together', () => {
+        assert.deepStrictEqual(onsets('note("c3,e3 g3")', 0, 1), ['0 - 48', '0 - 52', '0.5 - 55']);
+    });
+
+    it('takes structure from the first call and values from chained ones', () => {
+        assert.deepStrictEqual(onsets('note("c2 ~ eb2").s("<sawtooth square>").lpf(600)', 0, 2), [
+            '0 sawtooth 36', '0.6666666666666666 sawtooth 39', '1 square 36', '1.6666666666666665 square 39'
+        ]);
+    });
+
+    it('applies chained fast and slow', () => {
+        assert.deepStrictEqual(onsets('s("bd hh").fast(2)', 0, 1), ['0 bd -', '0.25 hh -', '0.5 bd -', '0.75 hh -']);
+        assert.deepStrictEqual(onsets('s("bd hh").slow(2)', 0, 2), ['0 bd -', '1 hh -']);
+    });
+
+    it('stacks calls in stack()', () => {
+        assert.deepStrictEqual(onsets('stack(s("bd"), s("~ cp").room(0.3))', 0, 1), ['0 bd -', '0.5 cp -']);
+    });
+
+    it('rejects mini-notation it cannot read', () => {
+        assert.throws(() => MockStrudel.compile('s("bd [sd")'), /missing "\]"/);
+        assert.throws(() => MockStrudel.compile('s("bd(3,8)")'), /not supported/);
+    });
+});
+
+describe('Mock mode timeline', () => {
+    let band;
+    let engine;
+
+    beforeEach(async () => {
+        const store = {};
+        context.localStorage = {
+            getItem: key => store[key] ?? null,
+            setItem: (key, value) => { store[key] = value; },
+            removeItem: key => { delete store[key]; }
+        };
+
+        // No LLM: agents fall back to their demo patterns; experimental agents skip the drift retry
+        band = new Band();
+        band.llm = null;
+        band.agents.forEach(agent => {
+            agent.llm = null;
+            agent.setStyle(1);
+        });
+
+        engine = new StrudelEngine();
+        await engine.setupMockMode({ realtime: false });
+        band.validator = (code) => engine.checkCode(code);
+    });
+
+    it('plays the new patterns after a mood change', async () => {
+        await band.applyMood('funk');
+        assert.strictEqual(await engine.play(band.getPatternSlots()), true);
+
+        const events = engine.mock.advance(1);
+        assert.deepStrictEqual(lines(events.filter(event => event.agent === 'bass')), [
+            'bass 0 sawtooth 36', 'bass 0.125 sawtooth 36', 'bass 0.5 sawtooth 39',
+            'bass 0.75 sawtooth 43', 'bass 0.875 sawtooth 48'
+        ]);
+        assert.deepStrictEqual(lines(events.filter(event => event.agent === 'lead')), ['lead 0 sawtooth 60']);
+        assert.deepStrictEqual(
+            [...new Set([...events].map(event => event.agent))].sort(),
+            ['bass', 'drums', 'fx', 'lead', 'pads']
+        );
+    });
+
+    it('follows a directive on the next cycle', async () => {
+        await band.applyMood('funk');
+        await engine.play(band.getPatternSlots());
+        engine.mock.advance(1);
+
+        await band.direct('chill out');
+        await engine.play(band.getPatternSlots());
+        const events = engine.mock.advance(1);
+
+        assert.deepStrictEqual(lines(events.filter(event => event.agent === 'drums')), ['drums 1 bd -']);
+        assert.deepStrictEqual(lines(events.filter(event => event.agent === 'bass')), ['bass 1 sine 43']);
+    });
+
+    it('drops a muted agent and keeps the others', async () => {
+        await band.applyMood('funk');
+        await engine.play(band.getPatternSlots());
+        engine.mock.advance(1);
+
+        band.getAgent('drums').toggleMute();
+        await engine.play(band.getPatternSlots());
+        const events = engine.mock.advance(1);
+
+        assert.strictEqual(events.some(event => event.agent === 'drums'), false);
+        assert.strictEqual(events.some(event => event.agent === 'bass'), true);
+        assert.strictEqual(engine.mock.getTimeline('drums').every(event => event.cycle < 1), true);
+    });
+
+    it('lands a queued change on its boundary', async () => {
+        await band.applyMood('funk');
+        await engine.play(band.getPatternSlots());
+
+        band.getAgent('drums').toggleMute();
+        await engine.play(band.getPatternSlots(), 2);
+        engine.mock.advanceTo(3);
+
+        const drums = engine.mock.getTimeline('drums');
+        assert.strictEqual(drums.length > 0, true);
+        assert.strictEqual(drums.every(event => event.cycle < 2), true);
+        assert.strictEqual(engine.mock.getTimeline('bass').some(event => event.cycle >= 2), true);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * STRUDEL BAND - Resampler tests
+ * Passband gain, stopband attenuation above the new Nyquist, and PCM16 conversion
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Resampler, AudioCapture } = loadScripts(
+    'js/config.js', 'js/resampler.js', 'js/audio-capture.js'
+);
+
+const TARGET_RATE = 16000;
+
+/**
+ * One second of a full-scale sine
+ */
+function sine(frequency, sampleRate) {
+    const samples = new Float32Array(sampleRate);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+/**
+ * Gain in dB of a sine through the resampler, measured away from the edges
+ */
+function gainDb(frequency, fromRate) {
+    const output = Resampler.resample(sine(frequency, fromRate), fromRate, TARGET_RATE);
+    const from = Math.floor(output.length / 4);
+    const to = Math.floor(output.length * 3 / 4);
+
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += output[i] * output[i];
+    return 20 * Math.log10(Math.sqrt(sum / (to - from)) * Math.SQRT2);
+}
+
+describe('Resampler', () => {
+    [44100, 48000].forEach(fromRate => {
+        describe(`${fromRate} Hz to ${TARGET_RATE} Hz`, () => {
+            it('passes 50 Hz - 6 kHz within 0.1 dB', () => {
+                [50, 440, 1000, 3000, 5000, 6000].forEach(frequency => {
+                    const gain = gainDb(frequency, fromRate);
+                    assert.ok(Math.abs(gain) < 0.1, `${frequency} Hz: ${gain.toFixed(2)} dB`);
+                });
+            });
+
+            it('attenuates everything above the new Nyquist by at least 80 dB', () => {
+                [8500, 9000, 10000, 12000, 16000, 20000].forEach(frequency => {
+                    const gain = gainDb(frequency, fromRate);
+                    assert.ok(gain < -80, `${frequency} Hz: ${gain.toFixed(2)} dB`);
+                });
+            });
+
+            it('gives the same result streamed in chunks', () => {
+                const input = sine(1000, fromRate);
+                const whole = Resampler.resample(input, fromRate, TARGET_RATE);
+
+                const resampler = new Resampler(fromRate, TARGET_RATE);
+                const chunks = [];
+                for (let i = 0; i < input.length; i += 1000) {
+                    chunks.push(...resampler.process(input.subarray(i, i + 1000)));
+                }
+                chunks.push(...resampler.flush());
+
+                assert.ok(chunks.length >= whole.length);
+                whole.forEach((sample, i) => assert.ok(Math.abs(sample - chunks[i]) < 1e-6, `sample ${i}`));
+            });
+        });
+    });
+
+    it('passes audio through unchanged at the same rate', () => {
+        const input = sine(440, TARGET_RATE);
+        assert.deepStrictEqual([...Resampler.resample(input, TARGET_RATE, TARGET_RATE)], [...input]);
+    });
+});
+
+describe('AudioCapture.floatTo16BitPCM', () => {
+    const toPCM = (values) => [...AudioCapture.prototype.floatTo16BitPCM(Float32Array.from(values))];
+
+    it('maps full scale to the int16 limits', () => {
+        assert.deepStrictEqual(toPCM([1, -1]), [32767, -32768]);
+    });
+
+    it('keeps silence at zero', () => {
+        assert.deepStrictEqual(toPCM([0, -0]), [0, 0]);
+    });
+
+    it('clips out-of-range input', () => {
+        assert.deepStrictEqual(toPCM([1.5, 2, 1000, -1.5, -2, -1000]), [32767, 32767, 32767, -32768, -32768, -32768]);
+    });
+
+    it('rounds to the nearest step', () => {
+        assert.deepStrictEqual(toPCM([0.5, -0.5, 0.25, 1 / 65536, -1 / 65536]), [16384, -16384, 8192, 0, 0]);
+    });
+
+    it('turns NaN into silence', () => {
+        assert.deepStrictEqual(toPCM([NaN]), [0]);
+    });
+});